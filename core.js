@@ -0,0 +1,2392 @@
+// ============================================
+// HYDRA RACING - Simulation Core
+// Game rules, spawning, collisions and scoring.
+// No DOM, canvas or audio in here: the renderer/HUD (script.js) listens to
+// gameplay events and plugs in `storage`, and Node can run the core headless.
+// ============================================
+
+// Game Configuration
+const CONFIG = {
+  // Lanes
+  lanes: 5,
+  laneWidth: 0,
+  
+  // Player
+  playerWidth: 45,
+  playerHeight: 85,
+  playerSpeed: 8,
+  laneChangeEasing: 0.15, // Share of the remaining distance to the target lane covered each step
+  
+  // Analog steering
+  steerAcceleration: 1.2, // px per step added to the sideways speed at full input
+  steerFriction: 0.85, // Share of the sideways speed kept each step
+  curbWidth: 20, // Road edge on each side the car can't drive onto
+  
+  // Enemies
+  collisionPadding: 10, // Forgiveness on every side of a car's hitbox
+  lives: 1, // Crashes a run can take; with 1 the first crash ends it
+  invulnerabilityTime: 1500, // ms the car blinks and can't be hit after losing a life
+  mergeDistance: 160, // px of road a lane-changer covers while sliding into the next lane
+  brakeDuration: 900, // ms a braking car stays slowed down
+  brakeFactor: 0.35, // Speed multiplier while braking
+  followGap: 15, // px a car keeps behind the car ahead in its lane
+  
+  // Wave planner
+  wavePlanAhead: 3, // Rows of traffic planned before they spawn
+  reactionTime: 300, // ms a player needs to notice a row before steering
+  
+  // Coins
+  coinSize: 28,
+  coinValue: 10,
+  coinSpawnRate: 2000,
+  
+  // Power-ups
+  powerUpSize: 38,
+  shieldDuration: 5000,
+  magnetDuration: 7000,
+  slowMoDuration: 5000,
+  doublePointsDuration: 10000,
+  slowMoFactor: 0.5,
+  permanentSlowMo: false, // Run the whole game at slowMoFactor
+  powerUpStackLimit: 2, // An extended effect never runs longer than this many full durations
+  magnetRange: 150, // px around the player that coins are pulled from
+  powerUpTypes: null, // Types that can spawn; null for all of POWER_UP_TYPES
+  
+  // Nitro: a tank of boost the player burns on demand, measured in ms of burning
+  nitroCapacity: 2500,
+  nitroMinCharge: 250, // Needed in the tank to light it
+  nitroSpeedMultiplier: 1.8,
+  nitroOverheatTime: 2000, // ms of burning in one go that overheats the engine
+  nitroCoolTime: 4000, // ms to cool down from overheated
+  nitroOverheatPenalty: 3000, // ms the nitro can't be lit after an overheat
+  nitroChargeCoin: 100,
+  nitroChargePerCombo: 40, // Per combo step on a dodge, up to x10
+  nitroChargeNearMiss: 400,
+  
+  // Leaderboard
+  leaderboardSize: 10, // Runs kept for each ranking (score and distance)
+  playerNameLength: 12,
+  
+  // Daily challenge
+  dailyHistoryDays: 30, // Daily results kept in the profile
+  
+  // Game
+  speedIncreaseRate: 0.0005,
+  comboTimeout: 2000,
+  nearMissDistance: 25, // px of side gap (or less) that makes a pass a near miss
+  nearMissPoints: 100, // Base points per near miss, up to double for the closest passes
+  nearMissChainTimeout: 3000, // ms between near misses that keeps the chain going
+  
+  // Visual Effects
+  roadMarkingSpeed: 5,
+  starCount: 80,
+  enableMotionBlur: true,
+  enableLensFlare: true,
+  enableParticles: true,
+  enableReflections: true,
+};
+
+// Difficulty Curve
+// Each row applies from its distance on; values in between are interpolated and
+// re-evaluated every simulation step. Spawn rates are ms between spawns, and
+// waveChance is the chance that an enemy spawn is a multi-lane wave of up to maxWaveSize cars.
+const DIFFICULTY_CURVE = [
+  { distance: 0, enemySpawnRate: 1400, enemySpeed: 4.5, waveChance: 0, maxWaveSize: 1, powerUpSpawnRate: 8000 },
+  { distance: 5000, enemySpawnRate: 1300, enemySpeed: 5, waveChance: 0.1, maxWaveSize: 2, powerUpSpawnRate: 8000 },
+  { distance: 10000, enemySpawnRate: 1200, enemySpeed: 5.5, waveChance: 0.2, maxWaveSize: 2, powerUpSpawnRate: 7500 },
+  { distance: 20000, enemySpawnRate: 1000, enemySpeed: 6.5, waveChance: 0.3, maxWaveSize: 3, powerUpSpawnRate: 7000 },
+  { distance: 30000, enemySpawnRate: 800, enemySpeed: 7.5, waveChance: 0.4, maxWaveSize: 3, powerUpSpawnRate: 6500 },
+  { distance: 40000, enemySpawnRate: 600, enemySpeed: 8.5, waveChance: 0.5, maxWaveSize: 3, powerUpSpawnRate: 6000 },
+];
+
+// Enemy Archetypes
+// Each type unlocks at a difficulty level and is picked by weight among the unlocked types.
+const ENEMY_TYPES = {
+  CAR: { name: 'Car', width: 45, height: 85, speedFactor: 1, minLevel: 1, weight: 6 },
+  TRUCK: { name: 'Truck', width: 50, height: 135, speedFactor: 0.7, minLevel: 2, weight: 2 },
+  LANE_CHANGER: { name: 'Lane Changer', width: 45, height: 85, speedFactor: 1, minLevel: 2, weight: 2 },
+  MOTORBIKE: { name: 'Motorbike', width: 24, height: 55, speedFactor: 1.4, minLevel: 3, weight: 2 },
+  BRAKER: { name: 'Braking Car', width: 45, height: 85, speedFactor: 1, minLevel: 4, weight: 2 },
+};
+
+// Game Modes
+// Each mode sets its own rules: `timeLimit` is the clock in ms (null for none), `coinTime` the ms
+// a coin puts back on it, `crashes` whether hitting a car ends the run, `config` CONFIG overrides.
+const GAME_MODES = {
+  ENDLESS: { name: 'Endless', icon: '♾️', description: 'Classic: one hit and it\'s over', timeLimit: null, coinTime: 0, crashes: true, config: {} },
+  TIME_ATTACK: { name: 'Time Attack', icon: '⏱️', description: 'Score all you can in 90 seconds, 3 lives', timeLimit: 90000, coinTime: 0, crashes: true, config: { lives: 3 } },
+  ZEN: { name: 'Zen', icon: '🧘', description: 'No crashes, bumps only break your combo', timeLimit: null, coinTime: 0, crashes: false, config: {} },
+  COIN_RUSH: { name: 'Coin Rush', icon: '💰', description: 'Coins everywhere, each one buys time', timeLimit: 20000, coinTime: 1500, crashes: true, config: { coinSpawnRate: 600, lives: 3 } },
+};
+
+// Game State
+const gameState = {
+  isPlaying: false,
+  isPaused: false,
+  isGameOver: false,
+  score: 0,
+  topScores: {}, // Best score per game mode
+  gameMode: 'ENDLESS', // Key of GAME_MODES being driven
+  steering: 'lanes', // Key of STEERING_MODES the run is driven with
+  timeLeft: null, // ms left on the clock in timed modes, null otherwise
+  lives: 1, // Crashes left before the run ends
+  invulnerableUntil: 0, // Game clock time the blinking after a lost life ends
+  bumps: 0, // Cars driven through in modes without crashes
+  endReason: null, // Why the run ended: 'crash', 'time' or 'quit'
+  challenge: null, // Daily challenge being driven: { date, seed, modifiers, scored }
+  coins: 0, // Collected this run
+  wallet: 0, // Banked coins available to spend in the garage
+  totalCoins: 0, // Lifetime coins collected
+  distance: 0,
+  dodgedCars: 0,
+  combo: 0,
+  maxCombo: 0, // Longest combo this run
+  lastDodgeTime: 0,
+  nearMisses: 0, // Close passes this run
+  nearMissChain: 0, // Near misses in a row, kept separately from the dodge combo
+  lastNearMissTime: 0,
+  currentSpeed: 1,
+  difficultyLevel: 1, // Row of DIFFICULTY_CURVE reached (1-based)
+  difficulty: { ...DIFFICULTY_CURVE[0] }, // Current interpolated curve values
+  seed: 0,
+  tick: 0, // Simulation steps taken this run
+  clock: 0, // Game time in ms; only advances inside update(), so it stops while paused
+  
+  // Power-up states
+  hasShield: false,
+  hasMagnet: false,
+  hasSlowMo: false,
+  hasDoublePoints: false,
+  hasNitro: false, // Burning nitro right now
+  nitroCharge: 0, // ms of boost in the tank
+  nitroHeat: 0, // 0-1, overheats at 1
+  nitroOverheatedUntil: 0,
+  activePowerUps: {}, // Running effects by type: { endTime, duration }
+  achievementProgress: {}, // Progress of per-run achievements this run, by id
+};
+
+// Game Objects (reset in place so references held by the renderer stay valid)
+const player = {};
+const enemies = [];
+const coins = [];
+const powerUps = [];
+
+// World size in pixels (the canvas size in the browser)
+let canvasWidth = 0;
+let canvasHeight = 0;
+
+// Simulation step length (ms of game time per update())
+const SIM_STEP = 1000 / 60;
+
+// Random Number Generators
+// Gameplay randomness (lanes, colors, power-up types, spawn chances) comes from a
+// seeded stream so a seed plus the player's inputs reproduces a run exactly.
+// Cosmetic effects use fxRandom() and never advance the gameplay stream.
+const rng = {
+  state: 0,
+};
+
+// Replays
+// A run is fully described by its seed and the inputs applied at each tick.
+// Bumped whenever a change to the rules would make older replays play out differently.
+const REPLAY_VERSION = 2;
+const replay = {
+  mode: 'record', // 'record' while the player drives, 'playback' while a replay does
+  inputs: [], // [tick, action] pairs, action is 'L', 'R', 'P', 'N'/'n' (nitro lit/released) or 'Q' (ended by the player),
+              // or [tick, 'S', steer] for analog steering
+  
+  cursor: 0, // Next input to apply during playback
+  upgrades: {}, // Garage upgrade levels the run is driven with
+  gameMode: 'ENDLESS', // Game mode the run is driven in
+  modifiers: [], // Daily challenge modifiers the run is driven with
+  steering: 'lanes', // Steering mode the run is driven with
+  last: null, // Most recent finished run, for watching or exporting
+};
+
+// Spawn schedules on the game clock
+const spawners = {
+  active: false,
+  enemy: { interval: 0, nextAt: 0 },
+  coin: { interval: 0, nextAt: 0 },
+  powerUp: { interval: 0, nextAt: 0 },
+};
+
+// Wave Planner
+// Enemy traffic is planned as rows a few spawns ahead. Every row leaves at least one
+// open lane the player can reach in time from an open lane of the row before it.
+const wavePlan = {
+  rows: [], // Planned rows waiting to spawn: { type, cars: [{ lane, mergeLane }], delay } (delay: ms after the previous row)
+  lastTravelTime: 0, // ms the last planned row takes to reach the player
+  lastType: null, // Enemy type of the last planned row
+  lastSpawnAt: 0, // Game clock time the last planned row spawns at
+  reachable: [], // Lanes the player can be in when the last planned row passes
+};
+
+// Input State
+const inputState = {
+  targetLane: 1,
+  steer: 0, // Analog steering input, -1 (full left) to 1 (full right)
+};
+
+// Car designs (emoji-based for simplicity, could be replaced with sprites)
+const carColors = ['#ff4757', '#2ed573', '#1e90ff', '#ffa502', '#a55eea', '#ff6b81', '#00d2d3', '#ff9ff3'];
+const playerCarColor = '#00d2d3';
+
+// Power-up types
+// flag: gameState switch the effect turns on; durationKey: CONFIG entry for its length;
+// stacking: 'refresh' restarts the timer on a repeat pickup, 'extend' adds to what is left.
+// Instant pickups have no timer and take effect once when collected.
+const POWER_UP_TYPES = {
+  SHIELD: { icon: '🛡️', color: 'rgba(100, 255, 200, 0.8)', name: 'Shield', flag: 'hasShield', durationKey: 'shieldDuration', stacking: 'refresh' },
+  MAGNET: { icon: '🧲', color: 'rgba(255, 100, 200, 0.8)', name: 'Magnet', flag: 'hasMagnet', durationKey: 'magnetDuration', stacking: 'extend' },
+  SLOW_MO: { icon: '⏱️', color: 'rgba(100, 200, 255, 0.8)', name: 'Slow Mo', flag: 'hasSlowMo', durationKey: 'slowMoDuration', stacking: 'refresh' },
+  DOUBLE_POINTS: { icon: '✨', color: 'rgba(255, 215, 0, 0.8)', name: '2x Points', flag: 'hasDoublePoints', durationKey: 'doublePointsDuration', stacking: 'extend' },
+  NITRO: { icon: '🔥', color: 'rgba(255, 100, 0, 0.8)', name: 'Nitro Canister', instant: true }, // Fills the nitro tank
+  REPAIR: { icon: '🔧', color: 'rgba(255, 90, 110, 0.8)', name: 'Repair Kit', instant: true }, // Gives back a life
+};
+
+// Garage catalogue: paints and bodies are cosmetic, upgrades raise a CONFIG value by `step` per level
+const GARAGE_ITEMS = {
+  paints: {
+    HYDRA: { name: 'Hydra Cyan', color: playerCarColor, price: 0 },
+    CRIMSON: { name: 'Crimson', color: '#ff4757', price: 150 },
+    LIME: { name: 'Lime', color: '#7bed9f', price: 150 },
+    SUNSET: { name: 'Sunset', color: '#ffa502', price: 250 },
+    VIOLET: { name: 'Violet', color: '#a55eea', price: 250 },
+    GOLD: { name: 'Gold Rush', color: '#ffd700', price: 600 },
+  },
+  bodies: {
+    SPORT: { name: 'Sport', price: 0 },
+    GT: { name: 'GT Wing', price: 400 },
+    MUSCLE: { name: 'Muscle', price: 700 },
+    RALLY: { name: 'Rally', price: 1000 },
+  },
+  upgrades: {
+    SHIELD: { name: 'Shield Duration', icon: '🛡️', configKey: 'shieldDuration', step: 1000, unit: 's', unitScale: 0.001, prices: [200, 400, 800] },
+    MAGNET: { name: 'Magnet Range', icon: '🧲', configKey: 'magnetRange', step: 40, unit: 'px', unitScale: 1, prices: [150, 300, 600] },
+    NITRO: { name: 'Nitro Tank', icon: '🔥', configKey: 'nitroCapacity', step: 500, unit: 's', unitScale: 0.001, prices: [250, 500, 1000] },
+  },
+};
+
+// Daily challenge modifiers, each a set of CONFIG overrides for the whole run.
+// Modifiers overriding the same key are never combined.
+const DAILY_MODIFIERS = {
+  NO_POWER_UPS: { name: 'No Power-ups', icon: '🚫', description: 'Nothing to pick up but coins', config: { powerUpTypes: [] } },
+  MAGNETS_ONLY: { name: 'Magnets Only', icon: '🧲', description: 'Magnet is the only power-up', config: { powerUpTypes: ['MAGNET'] } },
+  BULLET_TIME: { name: 'Bullet Time', icon: '⏱️', description: 'Permanent slow motion', config: { permanentSlowMo: true } },
+  NARROW_ROAD: { name: 'Narrow Road', icon: '🛣️', description: 'Only 4 lanes', config: { lanes: 4 } },
+  GOLD_RUSH: { name: 'Gold Rush', icon: '🪙', description: 'Coins show up twice as often', config: { coinSpawnRate: 1000 } },
+  RUSH_HOUR: { name: 'Rush Hour', icon: '🏎️', description: 'Speed builds up twice as fast', config: { speedIncreaseRate: 0.001 } },
+  SHORT_FUSE: { name: 'Short Fuse', icon: '🧨', description: 'Combos break after 1 second', config: { comboTimeout: 1000 } },
+  SPARE_PARTS: { name: 'Spare Parts', icon: '❤️', description: 'Three lives', config: { lives: 3 } },
+};
+
+// CONFIG values before any game mode or modifier override, restored for runs without one
+const overrideBaseValues = {};
+
+// What the player owns and has equipped (persisted)
+const garage = {
+  paint: 'HYDRA',
+  body: 'SPORT',
+  ownedPaints: ['HYDRA'],
+  ownedBodies: ['SPORT'],
+  upgrades: { SHIELD: 0, MAGNET: 0, NITRO: 0 },
+};
+
+// CONFIG values before any upgrade, captured the first time an upgrade is applied
+const upgradeBaseValues = {};
+
+// Gameplay events. The simulation emits them; the renderer, HUD and sound subscribe with
+// onGameEvent() or onGameEvents(). Headless runs have no listeners.
+//   laneChanged(direction)           scored(points, reason, x, y)  distanceChanged(meters)
+//   coinCollected(coin)              dodge(enemy)                  comboChanged(combo)
+//   nearMiss(enemy, points)          powerUpCollected(powerUp)     powerUpStarted(type)
+//   powerUpEnded(type)               bumped(enemy)                 lifeLost(enemy)
+//   livesChanged(lives)              timeChanged(timeLeft)         achievementUnlocked(achievement)
+//   nitroStarted()                   nitroEnded(reason)            gameOver(isNewRecord, entry)
+// scored() reasons: 'distance', 'nitro', 'coin', 'combo', 'nearMiss'; x/y is where the points were
+// earned in world coordinates.
+const gameEventListeners = {};
+
+// Persistent storage backend, installed with setStorage() (localStorage in the browser)
+const storage = {
+  load(key) { return null; },
+  save(key, value) {},
+};
+
+// Player profile: everything that outlives a run is saved as one versioned JSON document
+const PROFILE_KEY = 'hydraProfile';
+const PROFILE_VERSION = 5;
+
+// Each entry upgrades a profile from version i to version i + 1
+const PROFILE_MIGRATIONS = [
+  // 0 -> 1: the loose localStorage keys used before the profile store
+  (legacy) => ({
+    version: 1,
+    topScore: parseInt(legacy.hydraTopScore),
+    wallet: parseInt(legacy.hydraCoins),
+    totalCoins: parseInt(legacy.hydraTotalCoins),
+    garage: parseJSON(legacy.hydraGarage),
+  }),
+  // 1 -> 2: local leaderboard and player name
+  (profile) => ({
+    ...profile,
+    version: 2,
+    leaderboard: [],
+    settings: { ...profile.settings, playerName: 'Player' },
+  }),
+  // 2 -> 3: achievements
+  (profile) => ({
+    ...profile,
+    version: 3,
+    achievements: { progress: {}, unlocked: {} },
+  }),
+  // 3 -> 4: daily challenge results
+  (profile) => ({
+    ...profile,
+    version: 4,
+    dailyBests: {},
+  }),
+  // 4 -> 5: game modes, the old top score belongs to Endless
+  (profile) => ({
+    ...profile,
+    version: 5,
+    topScores: { ENDLESS: profile.topScore },
+    settings: { ...profile.settings, gameMode: 'ENDLESS' },
+  }),
+];
+
+// Player actions and their default controls: KeyboardEvent.code values, and gamepad buttons
+// in the standard mapping (0-3 face buttons, 9 Start, 12-15 d-pad)
+const INPUT_ACTIONS = {
+  left: { icon: '⬅️', name: 'Steer Left', keys: ['ArrowLeft', 'KeyA'], buttons: [14] },
+  right: { icon: '➡️', name: 'Steer Right', keys: ['ArrowRight', 'KeyD'], buttons: [15] },
+  pause: { icon: '⏯️', name: 'Start / Pause', keys: ['Space', 'Escape'], buttons: [9, 1] },
+  nitro: { icon: '🔥', name: 'Nitro (hold)', keys: ['ArrowUp', 'KeyW'], buttons: [0, 7] },
+};
+const MAX_BINDINGS = 2; // Keys and buttons per action
+
+const STEERING_MODES = {
+  lanes: { icon: '🛣️', name: 'Lanes', description: 'Tap to hop from lane to lane' },
+  analog: { icon: '🕹️', name: 'Analog', description: 'Hold to steer freely across the road' },
+};
+
+// Tilt steering settings: { min, max, default } for the sliders
+const TILT_SETTINGS = {
+  sensitivity: { min: 0.5, max: 2, default: 1 }, // Multiplier on how far the phone has to tilt
+  deadzone: { min: 0, max: 15, default: 4 }, // Degrees around the calibrated angle that don't steer
+  neutral: { min: -90, max: 90, default: 0 }, // Calibrated resting angle in degrees
+};
+
+const settings = {
+  sound: true,
+  playerName: 'Player',
+  gameMode: 'ENDLESS', // Mode picked last, used by Play
+  playerId: '', // Anonymous id for the online leaderboard, created on first load
+  leaderboardEndpoint: '', // Base URL of the online leaderboard; empty keeps scores local
+  bindings: {}, // Per action: { keys, buttons }
+  steering: 'lanes', // Key of STEERING_MODES
+  tilt: { enabled: false, sensitivity: 1, deadzone: 4, neutral: 0 }, // Tilt steering on phones
+};
+
+// Best local runs: { mode, name, score, distance, coins, dodged, maxCombo, seed, date }
+const leaderboard = [];
+
+// Lifetime totals across finished runs (replays excluded)
+const stats = {
+  runs: 0,
+  totalDistance: 0,
+  totalDodged: 0,
+  bestCombo: 0,
+  bestDistance: 0,
+};
+
+// Achievements
+// `event` is the game event that feeds one and `measure` how its progress adds up:
+// 'total' over all runs, 'run' within a single run, 'best' the highest value reported.
+const ACHIEVEMENTS = [
+  { id: 'firstRun', icon: '🏁', name: 'Rookie', description: 'Finish your first run', event: 'run', measure: 'total', goal: 1 },
+  { id: 'runs50', icon: '🔁', name: 'Regular', description: 'Finish 50 runs', event: 'run', measure: 'total', goal: 50 },
+  { id: 'dodge25', icon: '🚗', name: 'Weaver', description: 'Dodge 25 cars in one run', event: 'dodge', measure: 'run', goal: 25 },
+  { id: 'dodge100', icon: '🌪️', name: 'Untouchable', description: 'Dodge 100 cars in one run', event: 'dodge', measure: 'run', goal: 100 },
+  { id: 'dodge1000', icon: '🛣️', name: 'Rush Hour', description: 'Dodge 1,000 cars in total', event: 'dodge', measure: 'total', goal: 1000 },
+  { id: 'combo5', icon: '🔥', name: 'On Fire', description: 'Reach a x5 combo', event: 'combo', measure: 'best', goal: 5 },
+  { id: 'combo15', icon: '☄️', name: 'Unstoppable', description: 'Reach a x15 combo', event: 'combo', measure: 'best', goal: 15 },
+  { id: 'coins50', icon: '🪙', name: 'Pocket Money', description: 'Collect 50 coins in one run', event: 'coin', measure: 'run', goal: 50 },
+  { id: 'coins1000', icon: '💰', name: 'Coin Hoarder', description: 'Collect 1,000 coins in total', event: 'coin', measure: 'total', goal: 1000 },
+  { id: 'distance1000', icon: '📏', name: 'Long Haul', description: 'Drive 1,000m in one run', event: 'distance', measure: 'run', goal: 1000 },
+  { id: 'distance5000', icon: '🏔️', name: 'Marathon', description: 'Drive 5,000m in one run', event: 'distance', measure: 'run', goal: 5000 },
+  { id: 'distance50000', icon: '🌍', name: 'Road Warrior', description: 'Drive 50,000m in total', event: 'distance', measure: 'total', goal: 50000 },
+  { id: 'nearMiss10', icon: '😅', name: 'Close Shave', description: 'Pull off 10 near misses in one run', event: 'nearMiss', measure: 'run', goal: 10 },
+  { id: 'nearMiss250', icon: '🎯', name: 'Daredevil', description: 'Pull off 250 near misses', event: 'nearMiss', measure: 'total', goal: 250 },
+  { id: 'nearMissChain5', icon: '🪡', name: 'Thread the Needle', description: 'Chain 5 near misses', event: 'nearMissChain', measure: 'best', goal: 5 },
+  { id: 'powerUps25', icon: '⚡', name: 'Power Hungry', description: 'Collect 25 power-ups', event: 'powerUp', measure: 'total', goal: 25 },
+  { id: 'powerUpStack3', icon: '🧪', name: 'Cocktail', description: 'Have 3 power-ups running at once', event: 'powerUpStack', measure: 'best', goal: 3 },
+  { id: 'score10000', icon: '🏆', name: 'High Roller', description: 'Score 10,000 points in one run', event: 'score', measure: 'best', goal: 10000 },
+];
+
+// Daily challenge result by UTC date ('YYYY-MM-DD'): { score, distance, coins }.
+// A date is present once its scored attempt has started.
+const dailyBests = {};
+
+// Achievement state (persisted): progress towards each goal and unlock dates, by id
+const achievements = {
+  progress: {},
+  unlocked: {},
+};
+
+// ============================================
+// SETUP
+// ============================================
+
+// Subscribe to one event; returns a function that unsubscribes
+function onGameEvent(type, handler) {
+  if (!gameEventListeners[type]) gameEventListeners[type] = [];
+  gameEventListeners[type].push(handler);
+  return () => offGameEvent(type, handler);
+}
+
+function offGameEvent(type, handler) {
+  const listeners = gameEventListeners[type];
+  if (listeners) {
+    gameEventListeners[type] = listeners.filter(listener => listener !== handler);
+  }
+}
+
+// Subscribe every method of an object to the event of the same name
+function onGameEvents(handlers) {
+  Object.keys(handlers).forEach((type) => {
+    onGameEvent(type, handlers[type].bind(handlers));
+  });
+}
+
+function emitGameEvent(type, ...args) {
+  const listeners = gameEventListeners[type];
+  if (listeners) {
+    listeners.forEach(listener => listener(...args));
+  }
+}
+
+function setStorage(backend) {
+  Object.assign(storage, backend);
+}
+
+// Load the saved profile, migrating older saves. Returns false if the save was unreadable
+// and had to be replaced with a fresh profile.
+function loadProgress() {
+  const raw = storage.load(PROFILE_KEY);
+  const data = raw === null ? loadLegacyProfile() : parseJSON(raw);
+  const profile = migrateProfile(data);
+  
+  if (!profile) {
+    // Keep the broken save around so it can be recovered by hand
+    storage.save(PROFILE_KEY + 'Backup', raw);
+    applyProfile(normalizeProfile({}));
+    saveProfile();
+    return false;
+  }
+  
+  applyProfile(profile);
+  saveProfile();
+  return true;
+}
+
+function setWorldSize(width, height) {
+  canvasWidth = width;
+  canvasHeight = height;
+  CONFIG.laneWidth = canvasWidth / CONFIG.lanes;
+  
+  // Keep the player on its lane
+  if (player.width) {
+    player.x = getLaneX(inputState.targetLane);
+    player.y = canvasHeight - 150;
+  }
+}
+
+// Resize the world to the renderer's canvas unless a run (or its playback) is under way.
+// A run keeps the size it started with, as its replay does; the renderer scales it meanwhile.
+// Returns whether the world changed size.
+function requestWorldSize(width, height) {
+  if (gameState.isPlaying || replay.mode === 'playback') return false;
+  if (width === canvasWidth && height === canvasHeight) return false;
+  
+  setWorldSize(width, height);
+  return true;
+}
+
+function initPlayer() {
+  inputState.targetLane = 2; // Start in middle lane (0-4)
+  inputState.steer = 0;
+  for (const key in player) delete player[key];
+  Object.assign(player, {
+    x: getLaneX(1),
+    y: canvasHeight - 150,
+    width: CONFIG.playerWidth,
+    height: CONFIG.playerHeight,
+    lane: 1,
+    vx: 0, // Sideways speed with analog steering (px per step)
+    color: GARAGE_ITEMS.paints[garage.paint].color,
+    body: garage.body,
+  });
+}
+
+// ============================================
+// RUN FLOW
+// ============================================
+
+function beginRun(seed) {
+  gameState.seed = seed;
+  seedRandom(seed);
+  
+  if (replay.mode === 'record') {
+    replay.inputs = [];
+    replay.upgrades = { ...garage.upgrades };
+    replay.gameMode = gameState.gameMode;
+    replay.modifiers = gameState.challenge ? [...gameState.challenge.modifiers] : [];
+    replay.steering = settings.steering;
+  }
+  replay.cursor = 0;
+  gameState.steering = replay.steering;
+  if (gameState.steering === 'analog') {
+    player.x = getLaneX(inputState.targetLane); // Start centred instead of sliding over
+  }
+  
+  // Upgrades, mode and modifiers tune CONFIG for the run; replays use what they were recorded with
+  applyUpgrades(replay.upgrades);
+  setRunRules(replay.gameMode, replay.modifiers);
+  
+  // The day's scored attempt is used up as soon as it starts
+  if (replay.mode === 'record' && gameState.challenge && gameState.challenge.scored) {
+    recordDailyResult();
+    saveProfile();
+  }
+  
+  gameState.isPlaying = true;
+  gameState.isPaused = false;
+  gameState.isGameOver = false;
+  
+  startSpawners();
+}
+
+// The game clock stands still while paused, so timers and spawners simply resume where they left off
+function pauseRun() {
+  recordInput('P');
+  gameState.isPaused = true;
+}
+
+function resumeRun() {
+  recordInput('P');
+  gameState.isPaused = false;
+}
+
+function gameOver(reason = 'crash') {
+  gameState.isPlaying = false;
+  gameState.isGameOver = true;
+  gameState.endReason = reason;
+  stopSpawners();
+  
+  if (replay.mode === 'record') {
+    saveReplay();
+  }
+  
+  // Update the mode's high score (watching a replay or playing the daily challenge never counts)
+  const isNewRecord = replay.mode === 'record' && !gameState.challenge && gameState.score > getTopScore();
+  if (isNewRecord) {
+    gameState.topScores[gameState.gameMode] = gameState.score;
+  }
+  
+  // Bank the run's coins and stats
+  let entry = null;
+  if (replay.mode === 'record') {
+    gameState.wallet += gameState.coins;
+    gameState.totalCoins += gameState.coins;
+    recordRunStats();
+    trackAchievement('run');
+    trackAchievement('score', gameState.score);
+    if (!gameState.challenge) {
+      entry = addLeaderboardEntry();
+    } else if (gameState.challenge.scored) {
+      recordDailyResult();
+    }
+    saveProfile();
+  }
+  
+  emitGameEvent('gameOver', isNewRecord, entry);
+}
+
+// End the run early; the only way out of Zen. Recorded so its replay stops on the same tick.
+function endRun() {
+  if (!gameState.isPlaying) return;
+  
+  recordInput('Q');
+  gameOver('quit');
+}
+
+function resetRun() {
+  // Reset game state
+  gameState.score = 0;
+  gameState.coins = 0;
+  gameState.distance = 0;
+  gameState.dodgedCars = 0;
+  gameState.combo = 0;
+  gameState.maxCombo = 0;
+  gameState.currentSpeed = 1;
+  gameState.difficultyLevel = 1;
+  updateDifficulty();
+  gameState.isGameOver = false;
+  gameState.isPlaying = false;
+  gameState.isPaused = false;
+  gameState.tick = 0;
+  gameState.clock = 0;
+  gameState.lastDodgeTime = 0;
+  gameState.nearMisses = 0;
+  gameState.nearMissChain = 0;
+  gameState.lastNearMissTime = 0;
+  gameState.bumps = 0;
+  gameState.endReason = null;
+  gameState.invulnerableUntil = 0;
+  
+  // Reset power-ups
+  for (const type in POWER_UP_TYPES) {
+    if (POWER_UP_TYPES[type].flag) gameState[POWER_UP_TYPES[type].flag] = false;
+  }
+  gameState.activePowerUps = {};
+  gameState.hasNitro = false;
+  gameState.nitroCharge = 0;
+  gameState.nitroHeat = 0;
+  gameState.nitroOverheatedUntil = 0;
+  gameState.achievementProgress = {};
+  
+  // Back to a regular run of the picked mode
+  gameState.challenge = null;
+  setRunRules(settings.gameMode, []);
+  
+  // Clear objects
+  enemies.length = 0;
+  coins.length = 0;
+  powerUps.length = 0;
+  
+  // Reset player
+  initPlayer();
+}
+
+// ============================================
+// LEADERBOARD
+// ============================================
+
+// Record the finished run. Returns the entry, or null if it didn't make either ranking.
+function addLeaderboardEntry() {
+  const entry = {
+    mode: gameState.gameMode,
+    name: settings.playerName,
+    score: gameState.score,
+    distance: Math.floor(gameState.distance),
+    coins: gameState.coins,
+    dodged: gameState.dodgedCars,
+    maxCombo: gameState.maxCombo,
+    seed: gameState.seed,
+    date: new Date().toISOString(),
+  };
+  
+  leaderboard.push(entry);
+  trimLeaderboard();
+  return leaderboard.includes(entry) ? entry : null;
+}
+
+// A game mode's entries ranked by 'score' or 'distance', best first
+function getLeaderboard(sortBy = 'score', mode = 'ENDLESS') {
+  return leaderboard
+    .filter(entry => entry.mode === mode)
+    .sort((a, b) => b[sortBy] - a[sortBy] || a.date.localeCompare(b.date));
+}
+
+// 1-based rank of an entry in its mode's ranking, or 0 when it isn't in the top N
+function getLeaderboardRank(entry, sortBy = 'score') {
+  const rank = getLeaderboard(sortBy, entry.mode).indexOf(entry) + 1;
+  return rank <= CONFIG.leaderboardSize ? rank : 0;
+}
+
+// Keep the top N by score and the top N by distance of every mode
+function trimLeaderboard() {
+  const kept = new Set();
+  for (const mode in GAME_MODES) {
+    getLeaderboard('score', mode).slice(0, CONFIG.leaderboardSize).forEach(entry => kept.add(entry));
+    getLeaderboard('distance', mode).slice(0, CONFIG.leaderboardSize).forEach(entry => kept.add(entry));
+  }
+  const entries = leaderboard.filter(entry => kept.has(entry));
+  leaderboard.length = 0;
+  leaderboard.push(...entries);
+}
+
+function getTopScore(mode = gameState.gameMode) {
+  return gameState.topScores[mode] || 0;
+}
+
+// Rename an entry and remember the name for the next runs
+function renameLeaderboardEntry(entry, name) {
+  settings.playerName = normalizePlayerName(name);
+  if (entry) entry.name = settings.playerName;
+  saveProfile();
+}
+
+function clearLeaderboard() {
+  leaderboard.length = 0;
+  gameState.topScores = {};
+  saveProfile();
+}
+
+function normalizePlayerName(name) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, CONFIG.playerNameLength) : '';
+  return trimmed || 'Player';
+}
+
+function normalizeLeaderboardEntry(entry) {
+  if (!entry || typeof entry !== 'object' || !Number.isFinite(entry.score)) return null;
+  
+  const count = value => Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+  const date = new Date(entry.date);
+  return {
+    mode: entry.mode in GAME_MODES ? entry.mode : 'ENDLESS',
+    name: normalizePlayerName(entry.name),
+    score: count(entry.score),
+    distance: count(entry.distance),
+    coins: count(entry.coins),
+    dodged: count(entry.dodged),
+    maxCombo: count(entry.maxCombo),
+    seed: Number.isInteger(entry.seed) ? entry.seed : 0,
+    date: isNaN(date) ? new Date(0).toISOString() : date.toISOString(),
+  };
+}
+
+// ============================================
+// CONTROL BINDINGS
+// ============================================
+
+function getKeyAction(code) {
+  return Object.keys(settings.bindings).find(action => settings.bindings[action].keys.includes(code));
+}
+
+function getButtonAction(button) {
+  return Object.keys(settings.bindings).find(action => settings.bindings[action].buttons.includes(button));
+}
+
+// Bind a key code ('keys') or gamepad button ('buttons') to a slot, taking it off any other action
+function setBinding(action, device, slot, value) {
+  for (const bound in settings.bindings) {
+    settings.bindings[bound][device] = settings.bindings[bound][device].filter(other => other !== value);
+  }
+  
+  const list = settings.bindings[action][device];
+  list[Math.min(slot, list.length, MAX_BINDINGS - 1)] = value;
+  saveProfile();
+}
+
+function clearBinding(action, device, slot) {
+  settings.bindings[action][device].splice(slot, 1);
+  saveProfile();
+}
+
+function selectSteeringMode(mode) {
+  settings.steering = mode;
+  saveProfile();
+}
+
+function setTiltSetting(key, value) {
+  settings.tilt = normalizeTilt({ ...settings.tilt, [key]: value });
+  saveProfile();
+}
+
+function resetBindings() {
+  settings.bindings = normalizeBindings({});
+  saveProfile();
+}
+
+// Bindings for every action. Actions missing from the save (added since) get their defaults,
+// minus any key or button the player has already put on another action.
+function normalizeBindings(saved) {
+  const isSaved = action => saved[action] && typeof saved[action] === 'object';
+  const bindings = {};
+  
+  Object.keys(INPUT_ACTIONS).filter(isSaved).forEach((action) => {
+    const binding = saved[action];
+    bindings[action] = {
+      keys: (Array.isArray(binding.keys) ? binding.keys : []).filter(key => typeof key === 'string' && key !== '').slice(0, MAX_BINDINGS),
+      buttons: (Array.isArray(binding.buttons) ? binding.buttons : []).filter(button => Number.isInteger(button) && button >= 0).slice(0, MAX_BINDINGS),
+    };
+  });
+  
+  const taken = Object.values(bindings);
+  Object.keys(INPUT_ACTIONS).filter(action => !isSaved(action)).forEach((action) => {
+    bindings[action] = {
+      keys: INPUT_ACTIONS[action].keys.filter(key => !taken.some(binding => binding.keys.includes(key))),
+      buttons: INPUT_ACTIONS[action].buttons.filter(button => !taken.some(binding => binding.buttons.includes(button))),
+    };
+  });
+  
+  // Keep the order of INPUT_ACTIONS
+  return Object.fromEntries(Object.keys(INPUT_ACTIONS).map(action => [action, bindings[action]]));
+}
+
+function normalizeTilt(saved) {
+  const tilt = { enabled: saved.enabled === true };
+  Object.entries(TILT_SETTINGS).forEach(([key, range]) => {
+    const value = saved[key];
+    tilt[key] = Number.isFinite(value) ? Math.max(range.min, Math.min(range.max, value)) : range.default;
+  });
+  return tilt;
+}
+
+// ============================================
+// PROFILE
+// ============================================
+
+function loadLegacyProfile() {
+  return {
+    version: 0,
+    hydraTopScore: storage.load('hydraTopScore'),
+    hydraCoins: storage.load('hydraCoins'),
+    hydraTotalCoins: storage.load('hydraTotalCoins'),
+    hydraGarage: storage.load('hydraGarage'),
+  };
+}
+
+// Bring a saved profile up to PROFILE_VERSION. Returns null for anything that isn't a profile
+// or comes from a newer version of the game.
+function migrateProfile(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (!Number.isInteger(data.version) || data.version < 0 || data.version > PROFILE_VERSION) return null;
+  
+  for (let version = data.version; version < PROFILE_VERSION; version++) {
+    data = PROFILE_MIGRATIONS[version](data);
+  }
+  return normalizeProfile(data);
+}
+
+// Rebuild a profile field by field, replacing missing or corrupt values with defaults
+function normalizeProfile(data) {
+  const count = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.floor(number) : 0;
+  };
+  const savedSettings = data.settings || {};
+  const savedStats = data.stats || {};
+  
+  return {
+    version: PROFILE_VERSION,
+    topScores: Object.fromEntries(Object.keys(GAME_MODES).map(mode => [mode, count(data.topScores && data.topScores[mode])])),
+    wallet: count(data.wallet),
+    totalCoins: count(data.totalCoins),
+    settings: {
+      sound: savedSettings.sound !== false,
+      playerName: normalizePlayerName(savedSettings.playerName),
+      gameMode: savedSettings.gameMode in GAME_MODES ? savedSettings.gameMode : 'ENDLESS',
+      playerId: isPlayerId(savedSettings.playerId) ? savedSettings.playerId : createPlayerId(),
+      leaderboardEndpoint: typeof savedSettings.leaderboardEndpoint === 'string' ? savedSettings.leaderboardEndpoint : '',
+      bindings: normalizeBindings(savedSettings.bindings || {}),
+      steering: savedSettings.steering in STEERING_MODES ? savedSettings.steering : 'lanes',
+      tilt: normalizeTilt(savedSettings.tilt || {}),
+    },
+    garage: normalizeGarage(data.garage || {}),
+    leaderboard: Array.isArray(data.leaderboard) ? data.leaderboard.map(normalizeLeaderboardEntry).filter(Boolean) : [],
+    stats: {
+      runs: count(savedStats.runs),
+      totalDistance: count(savedStats.totalDistance),
+      totalDodged: count(savedStats.totalDodged),
+      bestCombo: count(savedStats.bestCombo),
+      bestDistance: count(savedStats.bestDistance),
+    },
+    achievements: normalizeAchievements(data.achievements || {}),
+    dailyBests: normalizeDailyBests(data.dailyBests || {}),
+  };
+}
+
+function getProfileData() {
+  return {
+    version: PROFILE_VERSION,
+    topScores: { ...gameState.topScores },
+    wallet: gameState.wallet,
+    totalCoins: gameState.totalCoins,
+    settings: { ...settings, bindings: normalizeBindings(settings.bindings), tilt: { ...settings.tilt } },
+    garage: {
+      ...garage,
+      ownedPaints: [...garage.ownedPaints],
+      ownedBodies: [...garage.ownedBodies],
+      upgrades: { ...garage.upgrades },
+    },
+    leaderboard: leaderboard.map(entry => ({ ...entry })),
+    stats: { ...stats },
+    achievements: {
+      progress: { ...achievements.progress },
+      unlocked: { ...achievements.unlocked },
+    },
+    dailyBests: Object.fromEntries(Object.entries(dailyBests).map(([date, result]) => [date, { ...result }])),
+  };
+}
+
+function applyProfile(profile) {
+  gameState.topScores = profile.topScores;
+  gameState.wallet = profile.wallet;
+  gameState.totalCoins = profile.totalCoins;
+  Object.assign(settings, profile.settings);
+  Object.assign(garage, profile.garage);
+  Object.assign(stats, profile.stats);
+  achievements.progress = profile.achievements.progress;
+  achievements.unlocked = profile.achievements.unlocked;
+  for (const date in dailyBests) delete dailyBests[date];
+  Object.assign(dailyBests, profile.dailyBests);
+  leaderboard.length = 0;
+  leaderboard.push(...profile.leaderboard);
+  trimLeaderboard();
+  
+  // Repaint the car if it is already on the road
+  if (player.width) {
+    player.color = GARAGE_ITEMS.paints[garage.paint].color;
+    player.body = garage.body;
+  }
+}
+
+function saveProfile() {
+  storage.save(PROFILE_KEY, JSON.stringify(getProfileData()));
+}
+
+// Fold a finished run into the lifetime stats
+function recordRunStats() {
+  stats.runs++;
+  stats.totalDistance += Math.floor(gameState.distance);
+  stats.totalDodged += gameState.dodgedCars;
+  stats.bestCombo = Math.max(stats.bestCombo, gameState.maxCombo);
+  stats.bestDistance = Math.max(stats.bestDistance, Math.floor(gameState.distance));
+}
+
+function exportProfile() {
+  return JSON.stringify(getProfileData());
+}
+
+// Replace the current profile with an exported one. Returns false if the file isn't a valid profile.
+function importProfile(text) {
+  const profile = migrateProfile(parseJSON(text));
+  if (!profile) return false;
+  
+  applyProfile(profile);
+  saveProfile();
+  return true;
+}
+
+// ============================================
+// ACHIEVEMENTS
+// ============================================
+
+// Feed a game event to the achievements listening for it. Only recorded runs count.
+function trackAchievement(event, value = 1) {
+  if (replay.mode !== 'record') return;
+  
+  for (const achievement of ACHIEVEMENTS) {
+    if (achievement.event !== event) continue;
+    const id = achievement.id;
+    
+    let progress = value;
+    if (achievement.measure === 'total') {
+      progress = (achievements.progress[id] || 0) + value;
+    } else if (achievement.measure === 'run') {
+      progress = (gameState.achievementProgress[id] || 0) + value;
+      gameState.achievementProgress[id] = progress;
+    }
+    achievements.progress[id] = Math.max(achievements.progress[id] || 0, progress);
+    
+    if (!achievements.unlocked[id] && progress >= achievement.goal) {
+      achievements.unlocked[id] = new Date().toISOString();
+      saveProfile();
+      emitGameEvent('achievementUnlocked', achievement);
+    }
+  }
+}
+
+// 0-1 share of an achievement's goal reached so far
+function getAchievementProgress(achievement) {
+  if (achievements.unlocked[achievement.id]) return 1;
+  return Math.min(1, (achievements.progress[achievement.id] || 0) / achievement.goal);
+}
+
+// Clean achievement state from a saved one, dropping ids that no longer exist
+function normalizeAchievements(saved) {
+  const progress = {};
+  const unlocked = {};
+  
+  for (const { id } of ACHIEVEMENTS) {
+    const value = Number(saved.progress && saved.progress[id]);
+    if (Number.isFinite(value) && value > 0) progress[id] = value;
+    
+    const date = saved.unlocked && saved.unlocked[id];
+    if (typeof date === 'string' && !isNaN(Date.parse(date))) unlocked[id] = date;
+  }
+  
+  return { progress, unlocked };
+}
+
+// ============================================
+// DAILY CHALLENGE
+// ============================================
+
+// The challenge of a UTC day: every player gets the same seed and modifiers
+function getDailyChallenge(date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  
+  // FNV-1a hash of the date
+  let seed = 2166136261;
+  for (let i = 0; i < day.length; i++) {
+    seed = Math.imul(seed ^ day.charCodeAt(i), 16777619) >>> 0;
+  }
+  
+  // Draw the modifiers from the day's seed, leaving the gameplay stream where it was
+  const savedState = rng.state;
+  seedRandom(seed);
+  const ids = Object.keys(DAILY_MODIFIERS);
+  const count = gameRandom() < 0.5 ? 1 : 2;
+  const modifiers = [];
+  while (modifiers.length < count) {
+    const id = ids[Math.floor(gameRandom() * ids.length)];
+    const clashes = modifiers.some(other =>
+      Object.keys(DAILY_MODIFIERS[id].config).some(key => key in DAILY_MODIFIERS[other].config));
+    if (!modifiers.includes(id) && !clashes) modifiers.push(id);
+  }
+  rng.state = savedState;
+  
+  return { date: day, seed, modifiers };
+}
+
+// Make today's challenge the next run. Only the first attempt of the day is scored.
+function setupDailyChallenge() {
+  const challenge = getDailyChallenge();
+  gameState.challenge = { ...challenge, scored: !(challenge.date in dailyBests) };
+  setRunRules('ENDLESS', challenge.modifiers); // Daily challenges are driven by Endless rules
+  return gameState.challenge;
+}
+
+// Set the rules of the next run: game mode, its clock and the CONFIG overrides
+function setRunRules(gameMode, modifiers) {
+  gameState.gameMode = gameMode;
+  gameState.timeLeft = GAME_MODES[gameMode].timeLimit;
+  applyRunOverrides(gameMode, modifiers);
+  gameState.lives = CONFIG.lives;
+}
+
+// Reset CONFIG overrides, then apply a game mode's and the given modifiers'
+function applyRunOverrides(gameMode, modifiers) {
+  for (const key in overrideBaseValues) {
+    CONFIG[key] = overrideBaseValues[key];
+  }
+  
+  const overrides = [GAME_MODES[gameMode].config, ...modifiers.map(id => DAILY_MODIFIERS[id].config)];
+  overrides.forEach((config) => {
+    for (const key in config) {
+      if (!(key in overrideBaseValues)) overrideBaseValues[key] = CONFIG[key];
+      CONFIG[key] = config[key];
+    }
+  });
+  
+  // The lane count may have changed
+  setWorldSize(canvasWidth, canvasHeight);
+}
+
+// Pick the mode Play starts
+function selectGameMode(mode) {
+  settings.gameMode = mode;
+  saveProfile();
+}
+
+function recordDailyResult() {
+  dailyBests[gameState.challenge.date] = {
+    score: gameState.score,
+    distance: Math.floor(gameState.distance),
+    coins: gameState.coins,
+  };
+  trimDailyBests();
+}
+
+// Keep the most recent CONFIG.dailyHistoryDays dates
+function trimDailyBests() {
+  const dates = Object.keys(dailyBests).sort().reverse();
+  dates.slice(CONFIG.dailyHistoryDays).forEach(date => delete dailyBests[date]);
+}
+
+function normalizeDailyBests(saved) {
+  const count = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.floor(number) : 0;
+  };
+  const bests = {};
+  
+  for (const date in saved) {
+    const result = saved[date];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !result || typeof result !== 'object') continue;
+    bests[date] = {
+      score: count(result.score),
+      distance: count(result.distance),
+      coins: count(result.coins),
+    };
+  }
+  
+  return bests;
+}
+
+// ============================================
+// GARAGE
+// ============================================
+
+// Clean garage state from a saved one, keeping only entries that still exist in the catalogue
+function normalizeGarage(saved) {
+  const { paints, bodies, upgrades } = GARAGE_ITEMS;
+  const ownedPaints = ['HYDRA'];
+  const ownedBodies = ['SPORT'];
+  
+  if (Array.isArray(saved.ownedPaints)) {
+    ownedPaints.push(...saved.ownedPaints.filter(id => paints[id] && !ownedPaints.includes(id)));
+  }
+  if (Array.isArray(saved.ownedBodies)) {
+    ownedBodies.push(...saved.ownedBodies.filter(id => bodies[id] && !ownedBodies.includes(id)));
+  }
+  
+  const levels = {};
+  for (const id in upgrades) {
+    const level = saved.upgrades && parseInt(saved.upgrades[id]);
+    levels[id] = Math.max(0, Math.min(upgrades[id].prices.length, level || 0));
+  }
+  
+  return {
+    paint: ownedPaints.includes(saved.paint) ? saved.paint : 'HYDRA',
+    body: ownedBodies.includes(saved.body) ? saved.body : 'SPORT',
+    ownedPaints,
+    ownedBodies,
+    upgrades: levels,
+  };
+}
+
+// Buy a paint or body ('paints' / 'bodies') and equip it. Returns false if it can't be afforded.
+function buyGarageItem(kind, id) {
+  const owned = kind === 'paints' ? garage.ownedPaints : garage.ownedBodies;
+  if (!owned.includes(id)) {
+    const price = GARAGE_ITEMS[kind][id].price;
+    if (gameState.wallet < price) return false;
+    gameState.wallet -= price;
+    owned.push(id);
+  }
+  
+  equipGarageItem(kind, id);
+  return true;
+}
+
+function equipGarageItem(kind, id) {
+  if (kind === 'paints') {
+    garage.paint = id;
+    player.color = GARAGE_ITEMS.paints[id].color;
+  } else {
+    garage.body = id;
+    player.body = id;
+  }
+  saveProfile();
+}
+
+// Price of the next level of an upgrade, or null when it is maxed out
+function getUpgradePrice(id) {
+  const prices = GARAGE_ITEMS.upgrades[id].prices;
+  const level = garage.upgrades[id];
+  return level < prices.length ? prices[level] : null;
+}
+
+function buyUpgrade(id) {
+  const price = getUpgradePrice(id);
+  if (price === null || gameState.wallet < price) return false;
+  
+  gameState.wallet -= price;
+  garage.upgrades[id]++;
+  saveProfile();
+  return true;
+}
+
+// Value an upgrade gives its CONFIG key at the given level
+function getUpgradeValue(id, level) {
+  const upgrade = GARAGE_ITEMS.upgrades[id];
+  const base = upgrade.configKey in upgradeBaseValues ? upgradeBaseValues[upgrade.configKey] : CONFIG[upgrade.configKey];
+  return base + upgrade.step * level;
+}
+
+function applyUpgrades(levels) {
+  for (const id in GARAGE_ITEMS.upgrades) {
+    const key = GARAGE_ITEMS.upgrades[id].configKey;
+    if (!(key in upgradeBaseValues)) upgradeBaseValues[key] = CONFIG[key];
+    CONFIG[key] = getUpgradeValue(id, levels[id] || 0);
+  }
+}
+
+// ============================================
+// PLAYER CONTROLS
+// ============================================
+
+function moveLeft() {
+  if (!gameState.isPlaying || gameState.isPaused || replay.mode === 'playback' || gameState.steering !== 'lanes') return;
+  recordInput('L');
+  steerLeft();
+}
+
+function moveRight() {
+  if (!gameState.isPlaying || gameState.isPaused || replay.mode === 'playback' || gameState.steering !== 'lanes') return;
+  recordInput('R');
+  steerRight();
+}
+
+// Light the nitro; it burns until released, empty or overheated
+function fireNitro() {
+  if (!gameState.isPlaying || gameState.isPaused || replay.mode === 'playback' || !canFireNitro()) return;
+  recordInput('N');
+  startNitro();
+}
+
+// Also works while paused, so a key let go during the pause doesn't keep burning
+function releaseNitro() {
+  if (!gameState.isPlaying || replay.mode === 'playback' || !gameState.hasNitro) return;
+  recordInput('n');
+  stopNitro('released');
+}
+
+// Analog steering input from -1 to 1, rounded to keep replays small. Works while paused, so
+// keys let go during the pause don't keep steering.
+function setSteer(value) {
+  if (!gameState.isPlaying || replay.mode === 'playback' || gameState.steering !== 'analog') return;
+  
+  const steer = Math.round(Math.max(-1, Math.min(1, value)) * 100) / 100;
+  if (steer === inputState.steer) return;
+  recordInput('S', steer);
+  inputState.steer = steer;
+}
+
+function steerLeft() {
+  if (inputState.targetLane > 0) {
+    inputState.targetLane--;
+    emitGameEvent('laneChanged', -1);
+  }
+}
+
+function steerRight() {
+  if (inputState.targetLane < CONFIG.lanes - 1) {
+    inputState.targetLane++;
+    emitGameEvent('laneChanged', 1);
+  }
+}
+
+// ============================================
+// REPLAYS
+// ============================================
+
+function recordInput(action, value) {
+  if (replay.mode !== 'record' || !gameState.isPlaying) return;
+  replay.inputs.push(value === undefined ? [gameState.tick, action] : [gameState.tick, action, value]);
+}
+
+// Feed recorded inputs due on this tick into the simulation
+function applyReplayInputs() {
+  while (replay.cursor < replay.inputs.length && replay.inputs[replay.cursor][0] <= gameState.tick) {
+    const action = replay.inputs[replay.cursor][1];
+    if (action === 'L') steerLeft();
+    if (action === 'R') steerRight();
+    if (action === 'N') startNitro();
+    if (action === 'n') stopNitro('released');
+    if (action === 'S') inputState.steer = replay.inputs[replay.cursor][2];
+    if (action === 'Q') gameOver('quit');
+    // 'P' entries only mark where the player paused; the simulation doesn't advance while paused
+    replay.cursor++;
+  }
+}
+
+function saveReplay() {
+  replay.last = {
+    version: REPLAY_VERSION,
+    seed: gameState.seed,
+    upgrades: replay.upgrades,
+    gameMode: replay.gameMode,
+    modifiers: replay.modifiers,
+    steering: replay.steering,
+    width: canvasWidth,
+    height: canvasHeight,
+    ticks: gameState.tick,
+    score: gameState.score,
+    distance: Math.floor(gameState.distance),
+    date: new Date().toISOString(),
+    inputs: replay.inputs,
+  };
+}
+
+function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  
+  if (!data || data.version !== REPLAY_VERSION || !Number.isInteger(data.seed) || !Array.isArray(data.inputs)) {
+    return null;
+  }
+  
+  const validInputs = data.inputs.every(input =>
+    Array.isArray(input) && Number.isInteger(input[0]) && (
+      ['L', 'R', 'P', 'N', 'n', 'Q'].includes(input[1]) ||
+      (input[1] === 'S' && typeof input[2] === 'number' && Math.abs(input[2]) <= 1)
+    ));
+  if (!validInputs) return null;
+  
+  if (!data.upgrades || typeof data.upgrades !== 'object') return null;
+  const upgrades = {};
+  for (const id in GARAGE_ITEMS.upgrades) {
+    const level = data.upgrades[id];
+    upgrades[id] = Number.isInteger(level) && level > 0 ? Math.min(level, GARAGE_ITEMS.upgrades[id].prices.length) : 0;
+  }
+  data.upgrades = upgrades;
+  
+  if (!(data.gameMode in GAME_MODES)) return null;
+  if (!Array.isArray(data.modifiers) || !data.modifiers.every(id => id in DAILY_MODIFIERS)) return null;
+  if (!(data.steering in STEERING_MODES)) return null;
+  return data;
+}
+
+// Set up replay playback of a parsed replay; the next beginRun drives it
+function loadReplay(data) {
+  replay.mode = 'playback';
+  replay.inputs = data.inputs;
+  replay.upgrades = data.upgrades;
+  replay.gameMode = data.gameMode;
+  replay.modifiers = data.modifiers;
+  replay.steering = data.steering;
+}
+
+// Run a parsed replay to the end without a renderer and report what it scored.
+// Replaces whatever run is loaded, so it is meant for headless use (tests, score validation).
+function simulateReplay(data, maxTicks = data.ticks + 1) {
+  setWorldSize(data.width, data.height);
+  loadReplay(data);
+  resetRun();
+  beginRun(data.seed);
+  
+  while (gameState.isPlaying && gameState.tick < maxTicks) {
+    update();
+  }
+  
+  return {
+    finished: gameState.isGameOver,
+    ticks: gameState.tick,
+    score: gameState.score,
+    distance: Math.floor(gameState.distance),
+    coins: gameState.coins,
+    dodged: gameState.dodgedCars,
+    maxCombo: gameState.maxCombo,
+  };
+}
+
+// ============================================
+// SPAWNERS
+// ============================================
+
+function startSpawners() {
+  stopSpawners(); // Clear any existing
+  resetWavePlan();
+  
+  resetSpawner(spawners.enemy, gameState.difficulty.enemySpawnRate);
+  resetSpawner(spawners.coin, CONFIG.coinSpawnRate);
+  resetSpawner(spawners.powerUp, gameState.difficulty.powerUpSpawnRate);
+  spawners.active = true;
+}
+
+function stopSpawners() {
+  spawners.active = false;
+}
+
+function resetSpawner(spawner, interval) {
+  spawner.interval = interval;
+  spawner.nextAt = gameState.clock + interval;
+}
+
+function updateSpawners() {
+  if (!spawners.active) return;
+  
+  // Follow the difficulty curve; a new rate applies from the next scheduled spawn
+  // (enemy rows carry their own timing from the wave plan)
+  spawners.powerUp.interval = gameState.difficulty.powerUpSpawnRate;
+  
+  tickSpawner(spawners.enemy, spawnEnemy);
+  tickSpawner(spawners.coin, spawnCoin);
+  tickSpawner(spawners.powerUp, spawnPowerUp);
+}
+
+function tickSpawner(spawner, spawn) {
+  if (gameState.clock >= spawner.nextAt) {
+    spawn();
+    spawner.nextAt += spawner.interval;
+  }
+}
+
+function spawnEnemy() {
+  if (!gameState.isPlaying || gameState.isPaused) return;
+  
+  fillWavePlan();
+  const row = wavePlan.rows.shift();
+  row.cars.forEach(car => spawnEnemyInLane(row.type, car.lane, car.mergeLane));
+  
+  // The next row arrives on its planned delay
+  fillWavePlan();
+  spawners.enemy.interval = wavePlan.rows[0].delay;
+}
+
+function spawnEnemyInLane(type, lane, mergeLane) {
+  const info = ENEMY_TYPES[type];
+  const color = carColors[Math.floor(gameRandom() * carColors.length)];
+  
+  // Check if lane is clear enough
+  const minDistance = info.height * 2;
+  const canSpawn = !enemies.some(e => (e.lane === lane || e.mergeLane === lane) && e.y < minDistance);
+  
+  if (canSpawn) {
+    enemies.push({
+      type: type,
+      x: getEnemyLaneX(lane, info.width),
+      y: -info.height,
+      width: info.width,
+      height: info.height,
+      lane: lane,
+      color: color,
+      speed: gameState.difficulty.enemySpeed * info.speedFactor,
+      currentSpeed: gameState.difficulty.enemySpeed * info.speedFactor, // Speed after braking and following
+      passed: false,
+      closestGap: Infinity, // Smallest side gap to the player while alongside it
+      
+      // Lane-changers signal from the spawn on and merge once they reach mergeY
+      mergeLane: mergeLane,
+      mergeFromX: getEnemyLaneX(lane, info.width),
+      mergeY: type === 'LANE_CHANGER' ? canvasHeight * (0.15 + gameRandom() * 0.15) : null,
+      
+      // Braking cars slow down hard once they reach brakeY
+      brakeY: type === 'BRAKER' ? canvasHeight * (0.2 + gameRandom() * 0.2) : null,
+      brakeEndsAt: null,
+      isBraking: false,
+    });
+  }
+}
+
+function spawnCoin() {
+  if (!gameState.isPlaying || gameState.isPaused) return;
+  
+  const lane = Math.floor(gameRandom() * CONFIG.lanes);
+  
+  // Don't spawn on top of enemies
+  const isSafe = !enemies.some(e => e.lane === lane && e.y < CONFIG.coinSize * 3);
+  
+  if (isSafe) {
+    coins.push({
+      x: getLaneX(lane),
+      y: -CONFIG.coinSize,
+      size: CONFIG.coinSize,
+      lane: lane,
+      rotation: 0,
+      collected: false,
+    });
+  }
+}
+
+function spawnPowerUp() {
+  if (!gameState.isPlaying || gameState.isPaused) return;
+  
+  // Repair kits only drop when there are lives to give back
+  const types = (CONFIG.powerUpTypes || Object.keys(POWER_UP_TYPES))
+    .filter(type => type !== 'REPAIR' || CONFIG.lives > 1);
+  if (types.length === 0) return;
+  
+  // Random chance to spawn
+  if (gameRandom() > 0.5) return;
+  
+  const lane = Math.floor(gameRandom() * CONFIG.lanes);
+  const type = types[Math.floor(gameRandom() * types.length)];
+  
+  powerUps.push({
+    x: getLaneX(lane),
+    y: -CONFIG.powerUpSize,
+    size: CONFIG.powerUpSize,
+    lane: lane,
+    type: type,
+    rotation: 0,
+    pulse: 0,
+  });
+}
+
+// ============================================
+// WAVE PLANNER
+// ============================================
+
+function resetWavePlan() {
+  wavePlan.rows = [];
+  wavePlan.reachable = getAllLanes();
+  wavePlan.lastTravelTime = 0;
+  wavePlan.lastType = null;
+  wavePlan.lastSpawnAt = gameState.clock;
+}
+
+function fillWavePlan() {
+  while (wavePlan.rows.length < CONFIG.wavePlanAhead) {
+    planWaveRow();
+  }
+}
+
+// Plan the next row of traffic so a path stays open through it
+function planWaveRow() {
+  const { waveChance, maxWaveSize, enemySpawnRate } = gameState.difficulty;
+  const type = pickEnemyType();
+  
+  // Space rows by when they reach the player, so slow rows don't get caught up by the next one
+  const travelTime = getTravelTime(type);
+  const delay = enemySpawnRate + Math.max(0, wavePlan.lastTravelTime - travelTime);
+  const maxShift = getMaxLaneShift(type, delay);
+  
+  // Occasionally plan a multi-lane wave instead of a single car (lane-changers come alone)
+  let waveSize = type !== 'LANE_CHANGER' && maxWaveSize > 1 && gameRandom() < waveChance
+    ? 2 + Math.floor(gameRandom() * (maxWaveSize - 1))
+    : 1;
+  
+  // Shrink the wave until a layout leaves a reachable gap; an empty row always does
+  for (; waveSize > 0; waveSize--) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const cars = pickWaveLanes(waveSize).map(lane => ({ lane, mergeLane: null }));
+      if (type === 'LANE_CHANGER') {
+        cars.forEach(car => car.mergeLane = pickMergeLane(car.lane));
+      }
+      
+      // A lane-changer blocks both its lanes
+      const blocked = cars.flatMap(car => car.mergeLane === null ? [car.lane] : [car.lane, car.mergeLane]);
+      const reachable = getReachableLanes(blocked, maxShift);
+      if (reachable.length > 0) {
+        addWaveRow({ type, cars, delay }, reachable, travelTime);
+        return;
+      }
+    }
+  }
+  
+  addWaveRow({ type, cars: [], delay }, getReachableLanes([], maxShift), travelTime);
+}
+
+function addWaveRow(row, reachable, travelTime) {
+  wavePlan.rows.push(row);
+  wavePlan.reachable = reachable;
+  wavePlan.lastTravelTime = travelTime;
+  wavePlan.lastType = row.type;
+  wavePlan.lastSpawnAt += row.delay;
+}
+
+function pickEnemyType() {
+  const unlocked = Object.keys(ENEMY_TYPES).filter(type => ENEMY_TYPES[type].minLevel <= gameState.difficultyLevel);
+  const totalWeight = unlocked.reduce((sum, type) => sum + ENEMY_TYPES[type].weight, 0);
+  
+  let roll = gameRandom() * totalWeight;
+  for (const type of unlocked) {
+    roll -= ENEMY_TYPES[type].weight;
+    if (roll < 0) return type;
+  }
+  return unlocked[unlocked.length - 1];
+}
+
+function pickMergeLane(lane) {
+  if (lane === 0) return 1;
+  if (lane === CONFIG.lanes - 1) return lane - 1;
+  return gameRandom() < 0.5 ? lane - 1 : lane + 1;
+}
+
+// ms an enemy of this type takes from spawning to reaching the player, braking included
+function getTravelTime(type) {
+  const info = ENEMY_TYPES[type];
+  const enemyStep = gameState.difficulty.enemySpeed * info.speedFactor * gameState.currentSpeed;
+  let time = (player.y + info.height) / enemyStep * SIM_STEP;
+  if (type === 'BRAKER') {
+    time += CONFIG.brakeDuration * (1 - CONFIG.brakeFactor);
+  }
+  return time;
+}
+
+function pickWaveLanes(size) {
+  const lanes = [];
+  while (lanes.length < size) {
+    const lane = Math.floor(gameRandom() * CONFIG.lanes);
+    if (!lanes.includes(lane)) lanes.push(lane);
+  }
+  return lanes;
+}
+
+// Open lanes of a row that are within maxShift of a lane reachable in the previous row
+function getReachableLanes(blockedLanes, maxShift) {
+  return getAllLanes().filter(lane =>
+    !blockedLanes.includes(lane) &&
+    wavePlan.reachable.some(from => Math.abs(lane - from) <= maxShift));
+}
+
+// Most lanes the player can cross before a row of `type` spawning `delay` ms after the last
+// planned row arrives. The window opens once the last row's tail has cleared the player and
+// closes when this row's nose reaches it, less the time the player needs to react.
+function getMaxLaneShift(type, delay) {
+  const info = ENEMY_TYPES[type];
+  const previous = wavePlan.lastType;
+  const delaySteps = delay / SIM_STEP;
+  const previousSpawnStep = (wavePlan.lastSpawnAt - gameState.clock) / SIM_STEP;
+  
+  let clearSteps = 0;
+  if (previous !== null) {
+    const clearDistance = ENEMY_TYPES[previous].height + player.y + CONFIG.playerHeight - CONFIG.collisionPadding;
+    clearSteps = getTravelSteps(previous, clearDistance, previousSpawnStep);
+    if (previous === 'BRAKER') {
+      clearSteps += CONFIG.brakeDuration * (1 - CONFIG.brakeFactor) / SIM_STEP;
+    }
+  }
+  
+  // Braking and following only delay a row, so the nose is counted at full speed
+  const arriveSteps = delaySteps + getTravelSteps(type, player.y + CONFIG.collisionPadding, previousSpawnStep + delaySteps);
+  
+  // One step spare for the player moving before the cars in a step
+  const freeSteps = arriveSteps - clearSteps - CONFIG.reactionTime / SIM_STEP - 1;
+  
+  let shift = 0;
+  while (shift < CONFIG.lanes - 1 && getLaneChangeSteps(shift + 1, info.width) <= freeSteps) {
+    shift++;
+  }
+  return shift;
+}
+
+// Steps an enemy of this type spawning `spawnStep` steps from now takes to cover `distance` px,
+// with the road still speeding up on the way
+function getTravelSteps(type, distance, spawnStep) {
+  const enemySpeed = gameState.difficulty.enemySpeed * ENEMY_TYPES[type].speedFactor;
+  let roadSpeed = gameState.currentSpeed + CONFIG.speedIncreaseRate * Math.max(0, spawnStep);
+  let travelled = 0;
+  let steps = 0;
+  
+  while (travelled < distance) {
+    roadSpeed += CONFIG.speedIncreaseRate;
+    travelled += enemySpeed * roadSpeed;
+    steps++;
+  }
+  return steps;
+}
+
+// Steps for a change across `lanes` lanes to get clear of cars in the neighbouring lanes:
+// an eased lane change, or full steering from standstill with analog steering
+function getLaneChangeSteps(lanes, enemyWidth) {
+  const clearOffset = CONFIG.laneWidth - ((CONFIG.playerWidth + enemyWidth) / 2 - CONFIG.collisionPadding);
+  const distance = lanes * CONFIG.laneWidth;
+  if (clearOffset >= distance) return 0;
+  
+  if (gameState.steering === 'analog') {
+    const target = distance - clearOffset;
+    let vx = 0;
+    let moved = 0;
+    let steps = 0;
+    while (moved < target) {
+      vx = (vx + CONFIG.steerAcceleration) * CONFIG.steerFriction;
+      moved += vx;
+      steps++;
+    }
+    return steps;
+  }
+  
+  return Math.ceil(Math.log(clearOffset / distance) / Math.log(1 - CONFIG.laneChangeEasing));
+}
+
+function getAllLanes() {
+  return Array.from({ length: CONFIG.lanes }, (_, lane) => lane);
+}
+
+// ============================================
+// GAME LOGIC
+// ============================================
+
+function update() {
+  // Snapshot positions so the renderer can interpolate between steps
+  storePreviousPositions();
+  
+  if (!gameState.isPlaying || gameState.isPaused) return;
+  
+  if (replay.mode === 'playback') {
+    applyReplayInputs();
+    if (!gameState.isPlaying) return;
+  }
+  
+  gameState.clock += SIM_STEP;
+  
+  // Timed modes end when the clock runs out
+  if (gameState.timeLeft !== null) {
+    gameState.timeLeft = Math.max(0, gameState.timeLeft - SIM_STEP);
+    emitGameEvent('timeChanged', gameState.timeLeft);
+    if (gameState.timeLeft === 0) {
+      gameOver('time');
+      return;
+    }
+  }
+  
+  updateNitro();
+  
+  const deltaSpeed = getSlowMoFactor();
+  const nitroMultiplier = getNitroMultiplier();
+  
+  // Update speed and difficulty
+  gameState.currentSpeed += CONFIG.speedIncreaseRate;
+  const meters = Math.floor(gameState.distance);
+  gameState.distance += gameState.currentSpeed * deltaSpeed * nitroMultiplier;
+  updateDifficulty();
+  
+  if (Math.floor(gameState.distance) > meters) {
+    trackAchievement('distance', Math.floor(gameState.distance) - meters);
+    emitGameEvent('distanceChanged', Math.floor(gameState.distance));
+  }
+  
+  // Nitro score bonus
+  if (gameState.hasNitro) {
+    addScore(Math.floor(10 * deltaSpeed), 'nitro', player.x + player.width / 2, player.y); // Bonus points during nitro
+  }
+  
+  if (gameState.steering === 'analog') {
+    updateAnalogSteering();
+  } else {
+    // Update player position (smooth lane transition)
+    const targetX = getLaneX(inputState.targetLane);
+    const dx = targetX - player.x;
+    player.x += dx * CONFIG.laneChangeEasing;
+    player.lane = inputState.targetLane;
+  }
+  
+  // Spawn new objects on the simulation clock
+  updateSpawners();
+  
+  // Update enemies
+  updateEnemies(deltaSpeed);
+  if (gameState.isGameOver) return; // A crash ends the run mid-step
+  
+  // Update coins
+  updateCoins(deltaSpeed);
+  
+  // Update power-ups
+  updatePowerUps(deltaSpeed);
+  
+  // Update power-up timers
+  updatePowerUpTimers();
+  
+  // Update combo
+  updateCombo();
+  
+  // Update score
+  addScore(Math.floor(gameState.currentSpeed * deltaSpeed), 'distance', player.x + player.width / 2, player.y);
+  
+  gameState.tick++;
+}
+
+// Evaluate the difficulty curve at the current distance
+function updateDifficulty() {
+  const distance = gameState.distance;
+  let row = 0;
+  while (row < DIFFICULTY_CURVE.length - 1 && distance >= DIFFICULTY_CURVE[row + 1].distance) {
+    row++;
+  }
+  
+  const from = DIFFICULTY_CURVE[row];
+  const to = DIFFICULTY_CURVE[Math.min(row + 1, DIFFICULTY_CURVE.length - 1)];
+  const t = to === from ? 0 : (distance - from.distance) / (to.distance - from.distance);
+  
+  gameState.difficultyLevel = row + 1;
+  for (const key in from) {
+    gameState.difficulty[key] = lerp(from[key], to[key], t);
+  }
+  gameState.difficulty.maxWaveSize = Math.floor(gameState.difficulty.maxWaveSize);
+}
+
+function getSlowMoFactor() {
+  return gameState.hasSlowMo || CONFIG.permanentSlowMo ? CONFIG.slowMoFactor : 1;
+}
+
+function getNitroMultiplier() {
+  return gameState.hasNitro ? CONFIG.nitroSpeedMultiplier : 1;
+}
+
+// Sideways speed from the steering input, slowed by friction and stopped at the curbs.
+// The car's lane is whichever one its centre is over.
+function updateAnalogSteering() {
+  player.vx = (player.vx + inputState.steer * CONFIG.steerAcceleration) * CONFIG.steerFriction;
+  player.x += player.vx;
+  
+  const minX = CONFIG.curbWidth;
+  const maxX = canvasWidth - CONFIG.curbWidth - player.width;
+  if (player.x < minX || player.x > maxX) {
+    player.x = Math.max(minX, Math.min(maxX, player.x));
+    player.vx = 0;
+  }
+  
+  player.lane = getLaneAt(player.x + player.width / 2);
+  inputState.targetLane = player.lane;
+}
+
+function storePreviousPositions() {
+  storePreviousPosition(player);
+  enemies.forEach(storePreviousPosition);
+  coins.forEach(storePreviousPosition);
+  powerUps.forEach(storePreviousPosition);
+}
+
+function storePreviousPosition(obj) {
+  obj.prevX = obj.x;
+  obj.prevY = obj.y;
+}
+
+function updateEnemies(deltaSpeed) {
+  for (let i = enemies.length - 1; i >= 0; i--) {
+    const enemy = enemies[i];
+    updateEnemyBehavior(enemy);
+    enemy.y += enemy.currentSpeed * gameState.currentSpeed * deltaSpeed;
+    
+    // Check collision
+    if (!enemy.bumped && !gameState.hasShield && !isInvulnerable() && checkCollision(player, enemy)) {
+      if (!GAME_MODES[gameState.gameMode].crashes) {
+        handleBump(enemy);
+      } else if (gameState.lives > 1) {
+        loseLife(enemy);
+        enemies.splice(i, 1);
+        continue;
+      } else {
+        gameState.lives = 0;
+        emitGameEvent('livesChanged', gameState.lives);
+        gameOver('crash');
+        return;
+      }
+    }
+    
+    // Measure how close the car comes while alongside the player (only when it could have hit)
+    const isAlongside = enemy.y + enemy.height > player.y && enemy.y < player.y + player.height;
+    if (isAlongside && !gameState.hasShield && !isInvulnerable()) {
+      enemy.closestGap = Math.min(enemy.closestGap, getSideGap(player, enemy));
+    }
+    
+    // Check if passed player (for dodging score)
+    if (!enemy.passed && enemy.y > player.y + player.height) {
+      enemy.passed = true;
+      gameState.dodgedCars++;
+      handleDodge(enemy);
+      
+      if (enemy.closestGap < CONFIG.nearMissDistance) {
+        handleNearMiss(enemy);
+      }
+    }
+    
+    // Remove off-screen enemies
+    if (enemy.y > canvasHeight + enemy.height) {
+      enemies.splice(i, 1);
+    }
+  }
+}
+
+function updateEnemyBehavior(enemy) {
+  let speed = enemy.speed;
+  
+  switch (enemy.type) {
+    case 'LANE_CHANGER':
+      // Slide across by distance travelled so the merge looks the same at any speed
+      if (enemy.mergeLane !== null && enemy.y >= enemy.mergeY) {
+        const targetX = getEnemyLaneX(enemy.mergeLane, enemy.width);
+        const progress = Math.min(1, (enemy.y - enemy.mergeY) / CONFIG.mergeDistance);
+        enemy.x = lerp(enemy.mergeFromX, targetX, progress * progress * (3 - 2 * progress));
+        
+        if (progress === 1) {
+          enemy.lane = enemy.mergeLane;
+          enemy.mergeLane = null;
+        }
+      }
+      break;
+    case 'BRAKER':
+      if (enemy.brakeEndsAt === null && enemy.y >= enemy.brakeY) {
+        enemy.brakeEndsAt = gameState.clock + CONFIG.brakeDuration;
+      }
+      enemy.isBraking = enemy.brakeEndsAt !== null && gameState.clock < enemy.brakeEndsAt;
+      if (enemy.isBraking) {
+        speed *= CONFIG.brakeFactor;
+      }
+      break;
+  }
+  
+  // Don't drive into the car ahead in the same lane
+  const ahead = enemies.find(other => other !== enemy &&
+    (other.lane === enemy.lane || other.mergeLane === enemy.lane) &&
+    other.y > enemy.y && other.y - (enemy.y + enemy.height) < CONFIG.followGap);
+  if (ahead) {
+    speed = Math.min(speed, ahead.currentSpeed);
+  }
+  
+  enemy.currentSpeed = speed;
+}
+
+function updateCoins(deltaSpeed) {
+  const magnetRange = gameState.hasMagnet ? CONFIG.magnetRange : 0;
+  
+  for (let i = coins.length - 1; i >= 0; i--) {
+    const coin = coins[i];
+    coin.y += CONFIG.roadMarkingSpeed * gameState.currentSpeed * deltaSpeed;
+    coin.rotation += 0.1;
+    
+    // Magnet effect
+    if (gameState.hasMagnet) {
+      const dx = player.x - coin.x;
+      const dy = player.y - coin.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      
+      if (dist < magnetRange) {
+        coin.x += dx * 0.1;
+        coin.y += dy * 0.1;
+      }
+    }
+    
+    // Check collection
+    if (checkCoinCollision(player, coin)) {
+      collectCoin(coin);
+      coins.splice(i, 1);
+      continue;
+    }
+    
+    // Remove off-screen coins
+    if (coin.y > canvasHeight + coin.size) {
+      coins.splice(i, 1);
+    }
+  }
+}
+
+function updatePowerUps(deltaSpeed) {
+  for (let i = powerUps.length - 1; i >= 0; i--) {
+    const powerUp = powerUps[i];
+    powerUp.y += CONFIG.roadMarkingSpeed * gameState.currentSpeed * deltaSpeed;
+    powerUp.rotation += 0.02;
+    powerUp.pulse = Math.sin(gameState.clock * 0.005) * 0.2 + 1;
+    
+    // Check collection
+    if (checkPowerUpCollision(player, powerUp)) {
+      collectPowerUp(powerUp);
+      powerUps.splice(i, 1);
+      continue;
+    }
+    
+    // Remove off-screen power-ups
+    if (powerUp.y > canvasHeight + powerUp.size) {
+      powerUps.splice(i, 1);
+    }
+  }
+}
+
+// Each effect runs out on its own timer
+function updatePowerUpTimers() {
+  for (const type in gameState.activePowerUps) {
+    if (gameState.clock > gameState.activePowerUps[type].endTime) {
+      deactivatePowerUp(type);
+    }
+  }
+}
+
+function updateCombo() {
+  const now = gameState.clock;
+  if (gameState.combo > 0 && now - gameState.lastDodgeTime > CONFIG.comboTimeout) {
+    gameState.combo = 0;
+    emitGameEvent('comboChanged', 0);
+  }
+}
+
+// ============================================
+// COLLISIONS
+// ============================================
+
+function checkCollision(a, b) {
+  const padding = CONFIG.collisionPadding; // Add some forgiveness
+  return (
+    a.x < b.x + b.width - padding &&
+    a.x + a.width > b.x + padding &&
+    a.y < b.y + b.height - padding &&
+    a.y + a.height > b.y + padding
+  );
+}
+
+function checkCoinCollision(player, coin) {
+  const centerX = coin.x + coin.size / 2;
+  const centerY = coin.y + coin.size / 2;
+  
+  const closestX = Math.max(player.x, Math.min(centerX, player.x + player.width));
+  const closestY = Math.max(player.y, Math.min(centerY, player.y + player.height));
+  
+  const dx = centerX - closestX;
+  const dy = centerY - closestY;
+  
+  return (dx * dx + dy * dy) < (coin.size / 2) * (coin.size / 2);
+}
+
+function checkPowerUpCollision(player, powerUp) {
+  const centerX = powerUp.x + powerUp.size / 2;
+  const centerY = powerUp.y + powerUp.size / 2;
+  
+  const closestX = Math.max(player.x, Math.min(centerX, player.x + player.width));
+  const closestY = Math.max(player.y, Math.min(centerY, player.y + player.height));
+  
+  const dx = centerX - closestX;
+  const dy = centerY - closestY;
+  
+  return (dx * dx + dy * dy) < (powerUp.size / 2) * (powerUp.size / 2);
+}
+
+// ============================================
+// NITRO
+// ============================================
+
+function canFireNitro() {
+  return !gameState.hasNitro &&
+    gameState.nitroCharge >= CONFIG.nitroMinCharge &&
+    gameState.clock >= gameState.nitroOverheatedUntil;
+}
+
+function startNitro() {
+  if (!canFireNitro()) return;
+  gameState.hasNitro = true;
+  emitGameEvent('nitroStarted');
+}
+
+// reason: 'released', 'empty' or 'overheat'
+function stopNitro(reason) {
+  if (!gameState.hasNitro) return;
+  gameState.hasNitro = false;
+  
+  if (reason === 'overheat') {
+    gameState.nitroOverheatedUntil = gameState.clock + CONFIG.nitroOverheatPenalty;
+  }
+  emitGameEvent('nitroEnded', reason);
+}
+
+// Burn the tank while lit, heating the engine; cool it down otherwise
+function updateNitro() {
+  if (!gameState.hasNitro) {
+    gameState.nitroHeat = Math.max(0, gameState.nitroHeat - SIM_STEP / CONFIG.nitroCoolTime);
+    return;
+  }
+  
+  gameState.nitroCharge = Math.max(0, gameState.nitroCharge - SIM_STEP);
+  gameState.nitroHeat = Math.min(1, gameState.nitroHeat + SIM_STEP / CONFIG.nitroOverheatTime);
+  
+  if (gameState.nitroHeat === 1) {
+    stopNitro('overheat');
+  } else if (gameState.nitroCharge === 0) {
+    stopNitro('empty');
+  }
+}
+
+function addNitroCharge(amount) {
+  gameState.nitroCharge = Math.min(CONFIG.nitroCapacity, gameState.nitroCharge + amount);
+}
+
+// ============================================
+// COLLECTION & SCORING
+// ============================================
+
+function collectCoin(coin) {
+  const value = gameState.hasDoublePoints ? CONFIG.coinValue * 2 : CONFIG.coinValue;
+  gameState.coins += value;
+  addScore(value * 10, 'coin', coin.x + coin.size / 2, coin.y + coin.size / 2);
+  
+  // Timed modes can buy time with coins
+  const mode = GAME_MODES[gameState.gameMode];
+  if (gameState.timeLeft !== null && mode.coinTime) {
+    gameState.timeLeft = Math.min(gameState.timeLeft + mode.coinTime, mode.timeLimit);
+  }
+  
+  addNitroCharge(CONFIG.nitroChargeCoin);
+  
+  trackAchievement('coin', value);
+  emitGameEvent('coinCollected', coin);
+}
+
+function collectPowerUp(powerUp) {
+  if (powerUp.type === 'REPAIR') {
+    gameState.lives = Math.min(gameState.lives + 1, CONFIG.lives);
+    emitGameEvent('livesChanged', gameState.lives);
+  } else if (powerUp.type === 'NITRO') {
+    addNitroCharge(CONFIG.nitroCapacity);
+  } else {
+    activatePowerUp(powerUp.type);
+  }
+  emitGameEvent('powerUpCollected', powerUp);
+  
+  trackAchievement('powerUp');
+  trackAchievement('powerUpStack', Object.keys(gameState.activePowerUps).length);
+}
+
+// Start an effect, or stack it onto the running one of the same type
+function activatePowerUp(type) {
+  const info = POWER_UP_TYPES[type];
+  const duration = CONFIG[info.durationKey];
+  const active = gameState.activePowerUps[type];
+  
+  if (active && info.stacking === 'extend') {
+    const maxDuration = duration * CONFIG.powerUpStackLimit;
+    const remaining = Math.min(active.endTime - gameState.clock + duration, maxDuration);
+    active.endTime = gameState.clock + remaining;
+    active.duration = Math.max(active.duration, remaining);
+  } else {
+    gameState.activePowerUps[type] = { endTime: gameState.clock + duration, duration };
+  }
+  
+  gameState[info.flag] = true;
+  emitGameEvent('powerUpStarted', type);
+}
+
+function deactivatePowerUp(type) {
+  gameState[POWER_UP_TYPES[type].flag] = false;
+  delete gameState.activePowerUps[type];
+  
+  emitGameEvent('powerUpEnded', type);
+}
+
+// ms left on an effect (0 when it isn't running)
+function getPowerUpRemaining(type) {
+  const active = gameState.activePowerUps[type];
+  return active ? Math.max(0, active.endTime - gameState.clock) : 0;
+}
+
+function handleDodge(enemy) {
+  const now = gameState.clock;
+  
+  // Check for combo
+  if (now - gameState.lastDodgeTime < CONFIG.comboTimeout) {
+    gameState.combo++;
+  } else {
+    gameState.combo = 1;
+  }
+  
+  gameState.lastDodgeTime = now;
+  gameState.maxCombo = Math.max(gameState.maxCombo, gameState.combo);
+  
+  // Bonus points for combo
+  const comboBonus = gameState.combo * 50;
+  const doubleMultiplier = gameState.hasDoublePoints ? 2 : 1;
+  addScore(comboBonus * doubleMultiplier, 'combo', enemy.x + enemy.width / 2, enemy.y);
+  addNitroCharge(Math.min(gameState.combo, 10) * CONFIG.nitroChargePerCombo);
+  
+  trackAchievement('dodge');
+  trackAchievement('combo', gameState.combo);
+  emitGameEvent('dodge', enemy);
+  emitGameEvent('comboChanged', gameState.combo);
+}
+
+// Every score change goes through here so listeners can show where the points came from
+function addScore(points, reason, x, y) {
+  if (points === 0) return;
+  gameState.score += points;
+  emitGameEvent('scored', points, reason, x, y);
+}
+
+// A close pass: points grow with how tight it was and with the near-miss chain
+function handleNearMiss(enemy) {
+  const now = gameState.clock;
+  
+  if (now - gameState.lastNearMissTime < CONFIG.nearMissChainTimeout) {
+    gameState.nearMissChain++;
+  } else {
+    gameState.nearMissChain = 1;
+  }
+  gameState.lastNearMissTime = now;
+  gameState.nearMisses++;
+  
+  // Passes inside the hitbox padding count as the closest possible
+  const closeness = 1 - Math.max(0, enemy.closestGap) / CONFIG.nearMissDistance;
+  const doubleMultiplier = gameState.hasDoublePoints ? 2 : 1;
+  const points = Math.round(CONFIG.nearMissPoints * (1 + closeness)) * gameState.nearMissChain * doubleMultiplier;
+  addScore(points, 'nearMiss', player.x + player.width / 2, player.y);
+  addNitroCharge(CONFIG.nitroChargeNearMiss);
+  
+  trackAchievement('nearMiss');
+  trackAchievement('nearMissChain', gameState.nearMissChain);
+  emitGameEvent('nearMiss', enemy, points);
+}
+
+// Driving through a car in a mode without crashes: no dodge for it, and the combo breaks
+function handleBump(enemy) {
+  enemy.bumped = true;
+  enemy.passed = true;
+  gameState.bumps++;
+  gameState.combo = 0;
+  
+  emitGameEvent('bumped', enemy);
+  emitGameEvent('comboChanged', 0);
+}
+
+// A crash the run survives: the car that was hit is cleared and the player blinks for a moment
+function loseLife(enemy) {
+  gameState.lives--;
+  gameState.invulnerableUntil = gameState.clock + CONFIG.invulnerabilityTime;
+  gameState.combo = 0;
+  
+  emitGameEvent('lifeLost', enemy);
+  emitGameEvent('livesChanged', gameState.lives);
+  emitGameEvent('comboChanged', 0);
+}
+
+function isInvulnerable() {
+  return gameState.clock < gameState.invulnerableUntil;
+}
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+// Lane under an x position on the road
+function getLaneAt(x) {
+  return Math.max(0, Math.min(CONFIG.lanes - 1, Math.floor(x / CONFIG.laneWidth)));
+}
+
+function getLaneX(lane) {
+  return lane * CONFIG.laneWidth + (CONFIG.laneWidth - CONFIG.playerWidth) / 2;
+}
+
+// Horizontal space between two boxes; negative when they overlap
+function getSideGap(a, b) {
+  return Math.max(b.x - (a.x + a.width), a.x - (b.x + b.width));
+}
+
+// x of an enemy of the given width centred in a lane
+function getEnemyLaneX(lane, width) {
+  return getLaneX(lane) + (CONFIG.playerWidth - width) / 2;
+}
+
+// JSON.parse that returns null instead of throwing
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Seeds the gameplay stream (mulberry32)
+function seedRandom(seed) {
+  rng.state = seed >>> 0;
+}
+
+function gameRandom() {
+  rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function isPlayerId(value) {
+  return typeof value === 'string' && /^[\w-]{8,64}$/.test(value);
+}
+
+function createPlayerId() {
+  return 'p-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+function createSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// ============================================
+// NODE EXPORTS
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONFIG,
+    DIFFICULTY_CURVE,
+    ENEMY_TYPES,
+    POWER_UP_TYPES,
+    SIM_STEP,
+    gameState,
+    player,
+    enemies,
+    coins,
+    powerUps,
+    inputState,
+    replay,
+    onGameEvent,
+    offGameEvent,
+    onGameEvents,
+    setStorage,
+    loadProgress,
+    settings,
+    stats,
+    saveProfile,
+    exportProfile,
+    importProfile,
+    migrateProfile,
+    setWorldSize,
+    requestWorldSize,
+    initPlayer,
+    beginRun,
+    pauseRun,
+    resumeRun,
+    resetRun,
+    leaderboard,
+    getLeaderboard,
+    getLeaderboardRank,
+    renameLeaderboardEntry,
+    INPUT_ACTIONS,
+    getKeyAction,
+    getButtonAction,
+    setBinding,
+    clearBinding,
+    resetBindings,
+    clearLeaderboard,
+    GARAGE_ITEMS,
+    garage,
+    buyGarageItem,
+    equipGarageItem,
+    buyUpgrade,
+    getUpgradePrice,
+    getUpgradeValue,
+    moveLeft,
+    moveRight,
+    setSteer,
+    STEERING_MODES,
+    selectSteeringMode,
+    TILT_SETTINGS,
+    setTiltSetting,
+    fireNitro,
+    releaseNitro,
+    update,
+    spawnEnemy,
+    wavePlan,
+    resetWavePlan,
+    planWaveRow,
+    getMaxLaneShift,
+    spawnCoin,
+    spawnPowerUp,
+    addScore,
+    checkCollision,
+    collectCoin,
+    collectPowerUp,
+    activatePowerUp,
+    getPowerUpRemaining,
+    updatePowerUpTimers,
+    handleDodge,
+    parseReplay,
+    loadReplay,
+    simulateReplay,
+    isPlayerId,
+    GAME_MODES,
+    selectGameMode,
+    getTopScore,
+    endRun,
+    DAILY_MODIFIERS,
+    dailyBests,
+    getDailyChallenge,
+    setupDailyChallenge,
+    ACHIEVEMENTS,
+    achievements,
+    trackAchievement,
+    getAchievementProgress,
+    seedRandom,
+    gameRandom,
+  };
+}
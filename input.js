@@ -0,0 +1,344 @@
+// ============================================
+// HYDRA RACING - Input
+// Keyboard, gamepad and on-screen controls, mapped to the player actions in INPUT_ACTIONS
+// (core.js) through the bindings saved in the profile. The left stick always steers.
+// With analog steering, left/right are held instead of tapped and everything that steers
+// (keys, buttons, stick, touch, tilt) is added up into one steering input.
+//
+// Tilt steering reads deviceorientation events. To try it on a desktop, use the Sensors panel
+// of the browser's dev tools or inject an event from the console:
+//   window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta: 45, gamma: 20 }))
+// ============================================
+
+const INPUT_CONFIG = {
+  stickDeadzone: 0.5, // Stick travel around the centre that doesn't change lanes
+  analogDeadzone: 0.15, // Stick travel around the centre that doesn't steer with analog steering
+  dragRange: 60, // px a finger drags sideways for full analog steering
+  tiltRange: 25, // Degrees past the deadzone for full steering at sensitivity 1
+  tiltLaneThreshold: 0.5, // Share of full tilt that changes lane with lane steering
+  tiltRepeat: 400, // ms between lane changes while the phone stays tilted
+};
+
+// What each action does
+const actionHandlers = {
+  left: () => (gameState.steering === 'analog' ? updateSteering() : moveLeft()),
+  right: () => (gameState.steering === 'analog' ? updateSteering() : moveRight()),
+  pause: () => togglePlayPause(),
+  nitro: () => fireNitro(),
+};
+
+// What letting go of a held action does
+const actionReleaseHandlers = {
+  left: () => updateSteering(),
+  right: () => updateSteering(),
+  nitro: () => releaseNitro(),
+};
+
+// Held actions that fire once per press, not again on key repeat
+const HELD_ACTIONS = ['nitro'];
+
+const controls = {
+  keysDown: new Set(), // Key codes held right now
+  pads: {}, // Per gamepad index: { buttons, stick, steer } from the last poll
+  touchSteer: 0, // Analog steering from the on-screen buttons or a finger drag
+  tilt: {
+    listening: false, // Subscribed to deviceorientation
+    angle: null, // Last sideways tilt in degrees, before calibration
+    steer: 0, // -1 to 1 after calibration, deadzone and sensitivity
+    direction: 0, // -1, 0 or 1: past the lane threshold with lane steering
+    lastLaneChange: 0,
+  },
+  capture: null, // { device, onDone } while the binding editor waits for a key or button
+};
+
+const KEY_LABELS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc',
+  Space: 'Space',
+};
+
+const BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+
+function initInput() {
+  document.addEventListener('keydown', handleKeyDown);
+  document.addEventListener('keyup', handleKeyUp);
+  
+  window.addEventListener('gamepadconnected', (e) => {
+    showToast(`🎮 ${getGamepadName(e.gamepad)} connected`);
+  });
+  window.addEventListener('gamepaddisconnected', (e) => {
+    delete controls.pads[e.gamepad.index];
+    updateSteering();
+    showToast('🎮 Gamepad disconnected', 'warning');
+  });
+  
+  if (settings.tilt.enabled) resumeTilt();
+}
+
+function triggerAction(action) {
+  actionHandlers[action]();
+}
+
+// Once nothing bound to the action is held any more
+function releaseAction(action) {
+  if (actionReleaseHandlers[action] && !isActionHeld(action)) {
+    actionReleaseHandlers[action]();
+  }
+}
+
+// Held by any key or gamepad button bound to it
+function isActionHeld(action) {
+  const binding = settings.bindings[action];
+  if (binding.keys.some(code => controls.keysDown.has(code))) return true;
+  
+  return Object.values(controls.pads).some(pad => binding.buttons.some(button => pad.buttons[button]));
+}
+
+// ============================================
+// ANALOG STEERING
+// ============================================
+
+function updateSteering() {
+  const held = (isActionHeld('right') ? 1 : 0) - (isActionHeld('left') ? 1 : 0);
+  const stick = Object.values(controls.pads).reduce((sum, pad) => sum + pad.steer, 0);
+  setSteer(held + stick + controls.touchSteer + controls.tilt.steer);
+}
+
+function setTouchSteer(value) {
+  controls.touchSteer = Math.max(-1, Math.min(1, value));
+  updateSteering();
+}
+
+// On-screen arrows: a tap changes lane, or they steer while held with analog steering
+function pressSteerButton(direction) {
+  if (gameState.steering === 'analog') {
+    setTouchSteer(direction);
+  } else if (direction < 0) {
+    moveLeft();
+  } else {
+    moveRight();
+  }
+}
+
+function releaseSteerButton() {
+  if (controls.touchSteer !== 0) setTouchSteer(0);
+}
+
+// ============================================
+// TILT
+// ============================================
+
+// Ask for the sensors where the browser wants permission (iOS, from a tap), then start listening.
+// Resolves with whether tilt readings will arrive.
+function enableTilt() {
+  const permission = needsTiltPermission() ? DeviceOrientationEvent.requestPermission() : Promise.resolve('granted');
+  
+  return permission.then((state) => {
+    if (state !== 'granted') return false;
+    
+    if (!controls.tilt.listening) {
+      window.addEventListener('deviceorientation', handleOrientation);
+      controls.tilt.listening = true;
+    }
+    return true;
+  }, () => false);
+}
+
+function needsTiltPermission() {
+  return typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function';
+}
+
+function disableTilt() {
+  window.removeEventListener('deviceorientation', handleOrientation);
+  controls.tilt = { ...controls.tilt, listening: false, angle: null, steer: 0, direction: 0 };
+  updateSteering();
+}
+
+// Tilt was switched on in an earlier session. iOS only answers the permission prompt from a
+// tap, so wait for the first one there.
+function resumeTilt() {
+  if (!needsTiltPermission()) {
+    enableTilt();
+    return;
+  }
+  
+  const onTap = () => {
+    document.removeEventListener('touchend', onTap);
+    document.removeEventListener('click', onTap);
+    enableTilt();
+  };
+  document.addEventListener('touchend', onTap);
+  document.addEventListener('click', onTap);
+}
+
+function handleOrientation(e) {
+  const angle = getScreenTilt(e);
+  if (angle === null) return; // No sensor behind the event
+  
+  const tilt = controls.tilt;
+  tilt.angle = angle;
+  
+  const offset = angle - settings.tilt.neutral;
+  const past = Math.abs(offset) - settings.tilt.deadzone;
+  tilt.steer = past <= 0 ? 0 : Math.sign(offset) * Math.min(1, past * settings.tilt.sensitivity / INPUT_CONFIG.tiltRange);
+  
+  if (gameState.steering === 'analog') {
+    updateSteering();
+    return;
+  }
+  
+  // Lane steering: tilting past the threshold changes lane, and again every tiltRepeat
+  // for as long as the phone stays tilted
+  const direction = Math.abs(tilt.steer) < INPUT_CONFIG.tiltLaneThreshold ? 0 : Math.sign(tilt.steer);
+  const now = performance.now();
+  if (direction !== 0 && (direction !== tilt.direction || now - tilt.lastLaneChange >= INPUT_CONFIG.tiltRepeat)) {
+    triggerAction(direction < 0 ? 'left' : 'right');
+    tilt.lastLaneChange = now;
+  }
+  tilt.direction = direction;
+}
+
+// Sideways tilt in degrees for the way the screen is turned: positive when the right-hand
+// edge dips. null when the event carries no reading.
+function getScreenTilt(e) {
+  if (typeof e.beta !== 'number' || typeof e.gamma !== 'number') return null;
+  
+  const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+  switch ((angle + 360) % 360) {
+    case 90: return e.beta;
+    case 180: return -e.gamma;
+    case 270: return -e.beta;
+    default: return e.gamma;
+  }
+}
+
+// Take the current angle as the resting position. Returns false without a reading.
+function calibrateTilt() {
+  if (controls.tilt.angle === null) return false;
+  
+  setTiltSetting('neutral', controls.tilt.angle);
+  return true;
+}
+
+// ============================================
+// KEYBOARD
+// ============================================
+
+function handleKeyDown(e) {
+  if (controls.capture) {
+    e.preventDefault();
+    finishCapture('keys', e.code);
+    return;
+  }
+  
+  // Leave typing in text fields alone
+  if (e.target.tagName === 'INPUT') return;
+  
+  controls.keysDown.add(e.code);
+  const action = getKeyAction(e.code);
+  if (action) {
+    e.preventDefault();
+    if (e.repeat && HELD_ACTIONS.includes(action)) return;
+    triggerAction(action);
+  }
+}
+
+function handleKeyUp(e) {
+  controls.keysDown.delete(e.code);
+  
+  const action = getKeyAction(e.code);
+  if (action) releaseAction(action);
+}
+
+function getKeyLabel(code) {
+  return KEY_LABELS[code] || code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+}
+
+// ============================================
+// GAMEPAD
+// ============================================
+
+// Called once per animation frame: buttons and stick pushes fire on the press, held actions
+// are released when their button is
+function pollGamepads() {
+  if (!navigator.getGamepads) return;
+  
+  for (const pad of navigator.getGamepads()) {
+    if (!pad) continue;
+    
+    const previous = controls.pads[pad.index] || { buttons: [], stick: 0 };
+    const buttons = pad.buttons.map(button => button.pressed);
+    const x = pad.axes[0] || 0;
+    const stick = Math.abs(x) < INPUT_CONFIG.stickDeadzone ? 0 : Math.sign(x);
+    const steer = Math.abs(x) < INPUT_CONFIG.analogDeadzone
+      ? 0
+      : Math.sign(x) * (Math.abs(x) - INPUT_CONFIG.analogDeadzone) / (1 - INPUT_CONFIG.analogDeadzone);
+    controls.pads[pad.index] = { buttons, stick, steer };
+    
+    buttons.forEach((pressed, button) => {
+      if (pressed && !previous.buttons[button]) {
+        handleButtonPress(button);
+      } else if (!pressed && previous.buttons[button]) {
+        const action = getButtonAction(button);
+        if (action) releaseAction(action);
+      }
+    });
+    
+    if (gameState.steering === 'analog') {
+      updateSteering();
+    } else if (stick !== 0 && stick !== previous.stick && !controls.capture) {
+      triggerAction(stick < 0 ? 'left' : 'right');
+    }
+  }
+}
+
+function handleButtonPress(button) {
+  if (controls.capture) {
+    finishCapture('buttons', button);
+    return;
+  }
+  
+  const action = getButtonAction(button);
+  if (action) triggerAction(action);
+}
+
+function getButtonLabel(button) {
+  return BUTTON_LABELS[button] || `Button ${button}`;
+}
+
+function getGamepadName(pad) {
+  return pad.id.replace(/\s*\(.*\)\s*/g, '') || 'Gamepad';
+}
+
+function getConnectedGamepads() {
+  return navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+}
+
+// ============================================
+// BINDING CAPTURE
+// ============================================
+
+// Wait for the next key ('keys') or gamepad button ('buttons'). onDone gets the key code or
+// button index, or null when the slot should be cleared (Backspace).
+function captureBinding(device, onDone) {
+  controls.capture = { device, onDone };
+}
+
+function cancelCapture() {
+  controls.capture = null;
+}
+
+function finishCapture(device, value) {
+  const capture = controls.capture;
+  
+  if (device === 'keys' && value === 'Backspace') {
+    controls.capture = null;
+    capture.onDone(null);
+  } else if (device === capture.device) {
+    controls.capture = null;
+    capture.onDone(value);
+  }
+}
@@ -0,0 +1,165 @@
+// ============================================
+// HYDRA RACING - Online Leaderboard Client
+// Talks to a leaderboard server over REST (see server/mock-leaderboard.js):
+//   POST /scores                     submit a run with its replay
+//   GET  /scores/top?limit=100       best runs
+//   GET  /scores/around/:id?range=5  runs ranked around a player
+// Runs that can't be sent are queued and retried when the browser comes back online.
+// ============================================
+
+const ONLINE_CONFIG = {
+  timeout: 8000, // ms before a request counts as failed
+  queueKey: 'hydraSubmitQueue',
+  maxQueueSize: 20,
+};
+
+const onlineLeaderboard = {
+  queue: [], // Submissions waiting for the network
+  flushing: false,
+};
+
+function initOnlineLeaderboard() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ONLINE_CONFIG.queueKey));
+    onlineLeaderboard.queue = Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    onlineLeaderboard.queue = [];
+  }
+  
+  window.addEventListener('online', flushSubmitQueue);
+  flushSubmitQueue();
+}
+
+function isOnlineLeaderboardEnabled() {
+  return settings.leaderboardEndpoint !== '';
+}
+
+function setLeaderboardEndpoint(url) {
+  settings.leaderboardEndpoint = url.trim().replace(/\/+$/, '');
+  saveProfile();
+  flushSubmitQueue();
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+// fetch JSON with a timeout; rejects on network errors and non-2xx answers
+function requestLeaderboard(path, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ONLINE_CONFIG.timeout);
+  
+  return fetch(settings.leaderboardEndpoint + path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+    signal: controller.signal,
+  }).then((response) => {
+    clearTimeout(timer);
+    return response.json().catch(() => ({})).then((data) => {
+      if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return data;
+    });
+  }, (error) => {
+    clearTimeout(timer);
+    throw error;
+  });
+}
+
+// Build a submission for the run that just finished; the server re-simulates it from the replay
+function createSubmission(replayData) {
+  return {
+    playerId: settings.playerId,
+    name: settings.playerName,
+    score: gameState.score,
+    distance: Math.floor(gameState.distance),
+    coins: gameState.coins,
+    dodged: gameState.dodgedCars,
+    maxCombo: gameState.maxCombo,
+    replay: replayData,
+  };
+}
+
+// Send a run, queueing it if the server can't be reached. Resolves with the server's answer,
+// or null when the run was queued.
+function submitScore(submission) {
+  if (!isOnlineLeaderboardEnabled()) return Promise.resolve(null);
+  
+  return requestLeaderboard('/scores', {
+    method: 'POST',
+    body: JSON.stringify(submission),
+  }).catch((error) => {
+    // The server looked at the run and refused it; retrying won't help
+    if (error.status >= 400 && error.status < 500) throw error;
+    
+    queueSubmission(submission);
+    return null;
+  });
+}
+
+function fetchTopScores(limit = 100) {
+  return requestLeaderboard(`/scores/top?limit=${limit}`).then(data => data.scores);
+}
+
+// Runs ranked around this player's best: { rank, scores }
+function fetchNeighborScores(range = 5) {
+  return requestLeaderboard(`/scores/around/${encodeURIComponent(settings.playerId)}?range=${range}`);
+}
+
+// ============================================
+// OFFLINE QUEUE
+// ============================================
+
+function queueSubmission(submission) {
+  onlineLeaderboard.queue.push(submission);
+  
+  // Keep the best runs if the queue overflows
+  if (onlineLeaderboard.queue.length > ONLINE_CONFIG.maxQueueSize) {
+    onlineLeaderboard.queue.sort((a, b) => b.score - a.score);
+    onlineLeaderboard.queue.length = ONLINE_CONFIG.maxQueueSize;
+  }
+  saveSubmitQueue();
+}
+
+function saveSubmitQueue() {
+  localStorage.setItem(ONLINE_CONFIG.queueKey, JSON.stringify(onlineLeaderboard.queue));
+}
+
+// Send queued runs one at a time; stops at the first network failure
+function flushSubmitQueue() {
+  if (onlineLeaderboard.flushing || !isOnlineLeaderboardEnabled() || onlineLeaderboard.queue.length === 0) return;
+  onlineLeaderboard.flushing = true;
+  
+  const sendNext = () => {
+    if (onlineLeaderboard.queue.length === 0) {
+      onlineLeaderboard.flushing = false;
+      return;
+    }
+    
+    requestLeaderboard('/scores', {
+      method: 'POST',
+      body: JSON.stringify(onlineLeaderboard.queue[0]),
+    }).then(() => true, (error) => {
+      if (error.status >= 400 && error.status < 500) {
+        showToast(`⚠️ Online leaderboard refused a saved run: ${error.message}`, 'warning');
+        return true;
+      }
+      return false;
+    }).then((done) => {
+      if (!done) {
+        onlineLeaderboard.flushing = false;
+        return;
+      }
+      
+      // Sent, or rejected for good
+      onlineLeaderboard.queue.shift();
+      saveSubmitQueue();
+      sendNext();
+    });
+  };
+  
+  sendNext();
+}
@@ -1,116 +1,45 @@
 // ============================================
 // HYDRA RACING - AAA Game Engine v3.0
 // Ultra HD Graphics Edition
+// Renderer, HUD, audio and input on top of the simulation core (core.js)
 // ============================================
 
-// Game Configuration
-const CONFIG = {
-  // Lanes
-  lanes: 5,
-  laneWidth: 0,
-  
-  // Player
-  playerWidth: 45,
-  playerHeight: 85,
-  playerSpeed: 8,
-  
-  // Enemies
-  enemyWidth: 45,
-  enemyHeight: 85,
-  initialEnemySpeed: 4,
-  maxEnemySpeed: 12,
-  enemySpawnRate: 1500,
-  minEnemySpawnRate: 600,
-  
-  // Coins
-  coinSize: 28,
-  coinValue: 10,
-  coinSpawnRate: 2000,
-  
-  // Power-ups
-  powerUpSize: 38,
-  powerUpSpawnRate: 8000,
-  shieldDuration: 5000,
-  magnetDuration: 7000,
-  slowMoDuration: 5000,
-  doublePointsDuration: 10000,
-  nitroDuration: 3000,
-  
-  // Game
-  speedIncreaseRate: 0.0005,
-  comboTimeout: 2000,
-  difficultyIncreaseInterval: 5000,
-  
-  // Visual Effects
-  roadMarkingSpeed: 5,
-  starCount: 80,
-  enableMotionBlur: true,
-  enableLensFlare: true,
-  enableParticles: true,
-  enableReflections: true,
-};
-
 // Visual Effects State
 const visualFX = {
   screenShake: 0,
   screenShakeIntensity: 0,
   motionBlur: 0,
   nitroActive: false,
-  nitroEndTime: 0,
   speedLines: [],
   exhaustParticles: [],
   sparkParticles: [],
   dustParticles: [],
+  scorePopups: [],
+  nitroPoints: 0, // Nitro points not shown in a popup yet
+  nitroPopupTime: 0,
   lensFlares: [],
   ambientLight: 1.0,
   time: 0,
 };
 
-// Game State
-const gameState = {
-  isPlaying: false,
-  isPaused: false,
-  isGameOver: false,
-  score: 0,
-  topScore: parseInt(localStorage.getItem('hydraTopScore')) || 0,
-  coins: parseInt(localStorage.getItem('hydraCoins')) || 0,
-  totalCoins: parseInt(localStorage.getItem('hydraTotalCoins')) || 0,
-  distance: 0,
-  dodgedCars: 0,
-  combo: 0,
-  lastDodgeTime: 0,
-  currentSpeed: 1,
-  difficultyLevel: 1,
-  
-  // Power-up states
-  hasShield: false,
-  hasMagnet: false,
-  hasSlowMo: false,
-  hasDoublePoints: false,
-  hasNitro: false,
-  activePowerUp: null,
-  powerUpEndTime: 0,
-};
-
-// Game Objects
-let player = null;
-let enemies = [];
-let coins = [];
-let powerUps = [];
+// Scenery & Effects Objects
 let particles = [];
 let roadMarkings = [];
 let stars = [];
 
 // Timers
-let enemySpawnTimer = null;
-let coinSpawnTimer = null;
-let powerUpSpawnTimer = null;
-let gameLoop = null;
 let countdownInterval = null;
 
+// Render Loop (fixed simulation timestep, independent of display refresh rate)
+const MAX_FRAME_TIME = 250; // Clamp long frames (tab switch, hitches) to avoid a spiral of catch-up steps
+const simLoop = {
+  accumulator: 0,
+  lastFrameTime: null,
+  alpha: 0, // Interpolation factor between the previous and current simulation step
+};
+
 // Canvas & Context
 let canvas, ctx;
-let canvasWidth, canvasHeight;
 
 // Sound System
 const sounds = {
@@ -122,26 +51,6 @@ const sounds = {
   engine: null,
 };
 
-// Input State
-const inputState = {
-  left: false,
-  right: false,
-  targetLane: 1,
-};
-
-// Car designs (emoji-based for simplicity, could be replaced with sprites)
-const carColors = ['#ff4757', '#2ed573', '#1e90ff', '#ffa502', '#a55eea', '#ff6b81', '#00d2d3', '#ff9ff3'];
-const playerCarColor = '#00d2d3';
-
-// Power-up types
-const POWER_UP_TYPES = {
-  SHIELD: { icon: '🛡️', color: 'rgba(100, 255, 200, 0.8)', name: 'Shield' },
-  MAGNET: { icon: '🧲', color: 'rgba(255, 100, 200, 0.8)', name: 'Magnet' },
-  SLOW_MO: { icon: '⏱️', color: 'rgba(100, 200, 255, 0.8)', name: 'Slow Mo' },
-  DOUBLE_POINTS: { icon: '✨', color: 'rgba(255, 215, 0, 0.8)', name: '2x Points' },
-  NITRO: { icon: '🔥', color: 'rgba(255, 100, 0, 0.8)', name: 'Nitro Boost' },
-};
-
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -150,15 +59,29 @@ function init() {
   canvas = document.getElementById('gameCanvas');
   ctx = canvas.getContext('2d');
   
+  onGameEvents(gameView);
+  onGameEvents(hudView);
+  setStorage({
+    load: (key) => localStorage.getItem(key),
+    save: (key, value) => localStorage.setItem(key, value),
+  });
+  if (!loadProgress()) {
+    showToast('⚠️ Save data was unreadable, starting a fresh profile', 'warning');
+  }
+  sounds.enabled = settings.sound;
+  initOnlineLeaderboard();
+  
+  initPlayer();
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
   
   initSounds();
+  updateSoundButton();
   initStars();
   initRoadMarkings();
-  initPlayer();
   setupEventListeners();
   updateUI();
+  showMainMenu();
   
   // Start render loop (always running for background effects)
   requestAnimationFrame(render);
@@ -168,21 +91,23 @@ function resizeCanvas() {
   const container = document.querySelector('.game-container');
   canvas.width = container.clientWidth;
   canvas.height = container.clientHeight;
-  canvasWidth = canvas.width;
-  canvasHeight = canvas.height;
-  
-  CONFIG.laneWidth = canvasWidth / CONFIG.lanes;
-  
-  // Reinitialize road markings on resize
+  fitWorldToCanvas();
+}
+
+// Resize the simulation world to the canvas (also keeps the player on its lane).
+// Mid-run the world keeps its size and render() stretches it over the canvas instead.
+function fitWorldToCanvas() {
+  if (requestWorldSize(canvas.width, canvas.height)) {
+    initWorldLayers();
+  }
+}
+
+// Road markings, road texture, car sprites and the vignette are drawn at the world size
+function initWorldLayers() {
   initRoadMarkings();
-  
-  // Reinitialize road texture
   initRoadTexture();
-  
-  // Update player position if exists
-  if (player) {
-    player.x = getLaneX(inputState.targetLane);
-  }
+  carSprites.clear();
+  vignetteLayer = null;
 }
 
 function initSounds() {
@@ -200,11 +125,11 @@ function initStars() {
   stars = [];
   for (let i = 0; i < CONFIG.starCount; i++) {
     stars.push({
-      x: Math.random() * canvasWidth,
-      y: Math.random() * canvasHeight,
-      size: Math.random() * 2 + 0.5,
-      speed: Math.random() * 0.5 + 0.2,
-      opacity: Math.random() * 0.5 + 0.3,
+      x: fxRandom() * canvasWidth,
+      y: fxRandom() * canvasHeight,
+      size: fxRandom() * 2 + 0.5,
+      speed: fxRandom() * 0.5 + 0.2,
+      opacity: fxRandom() * 0.5 + 0.3,
     });
   }
 }
@@ -223,18 +148,6 @@ function initRoadMarkings() {
   }
 }
 
-function initPlayer() {
-  inputState.targetLane = 2; // Start in middle lane (0-4)
-  player = {
-    x: getLaneX(1),
-    y: canvasHeight - 150,
-    width: CONFIG.playerWidth,
-    height: CONFIG.playerHeight,
-    lane: 1,
-    color: playerCarColor,
-  };
-}
-
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -245,26 +158,126 @@ function setupEventListeners() {
   const rightBtn = document.getElementById('rightBtn');
   const playPauseBtn = document.getElementById('playPauseBtn');
   const restartBtn = document.getElementById('restartBtn');
-  const resetTopScoreBtn = document.getElementById('resetTopScoreBtn');
+  const clearLeaderboardBtn = document.getElementById('clearLeaderboardBtn');
   const soundBtn = document.getElementById('soundBtn');
   
-  // Touch/Click events for movement
-  leftBtn.addEventListener('touchstart', (e) => { e.preventDefault(); moveLeft(); });
-  leftBtn.addEventListener('mousedown', moveLeft);
+  // Touch/Click events for movement (held for analog steering)
+  leftBtn.addEventListener('touchstart', (e) => { e.preventDefault(); pressSteerButton(-1); });
+  leftBtn.addEventListener('mousedown', () => pressSteerButton(-1));
+  
+  rightBtn.addEventListener('touchstart', (e) => { e.preventDefault(); pressSteerButton(1); });
+  rightBtn.addEventListener('mousedown', () => pressSteerButton(1));
   
-  rightBtn.addEventListener('touchstart', (e) => { e.preventDefault(); moveRight(); });
-  rightBtn.addEventListener('mousedown', moveRight);
+  [leftBtn, rightBtn].forEach((btn) => {
+    btn.addEventListener('touchend', releaseSteerButton);
+    btn.addEventListener('touchcancel', releaseSteerButton);
+    btn.addEventListener('mouseup', releaseSteerButton);
+    btn.addEventListener('mouseleave', releaseSteerButton);
+  });
   
   playPauseBtn.addEventListener('click', togglePlayPause);
   playPauseBtn.addEventListener('touchstart', (e) => { e.preventDefault(); togglePlayPause(); });
   
   restartBtn.addEventListener('click', restartGame);
-  resetTopScoreBtn.addEventListener('click', resetTopScore);
+  document.getElementById('endRunBtn').addEventListener('click', endGame);
+  clearLeaderboardBtn.addEventListener('click', confirmClearLeaderboard);
   soundBtn.addEventListener('click', toggleSound);
   
-  // Keyboard controls
-  document.addEventListener('keydown', handleKeyDown);
-  document.addEventListener('keyup', handleKeyUp);
+  // Replay controls
+  const watchReplayBtn = document.getElementById('watchReplayBtn');
+  const exportReplayBtn = document.getElementById('exportReplayBtn');
+  const importReplayBtn = document.getElementById('importReplayBtn');
+  const replayFileInput = document.getElementById('replayFileInput');
+  
+  watchReplayBtn.addEventListener('click', () => watchReplay(replay.last));
+  exportReplayBtn.addEventListener('click', exportReplay);
+  importReplayBtn.addEventListener('click', () => replayFileInput.click());
+  replayFileInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) importReplay(e.target.files[0]);
+    e.target.value = ''; // Allow importing the same file again
+  });
+  
+  // Garage
+  document.getElementById('garageBtn').addEventListener('click', openGarage);
+  document.getElementById('closeGarageBtn').addEventListener('click', closeGarage);
+  
+  // Main menu
+  document.getElementById('menuDailyBtn').addEventListener('click', startDailyChallenge);
+  document.getElementById('menuLeaderboardBtn').addEventListener('click', () => openLeaderboard());
+  document.getElementById('menuAchievementsBtn').addEventListener('click', openAchievements);
+  document.getElementById('menuGarageBtn').addEventListener('click', openGarage);
+  document.getElementById('menuProfileBtn').addEventListener('click', openProfile);
+  document.getElementById('menuControlsBtn').addEventListener('click', openControls);
+  document.getElementById('gameOverMenuBtn').addEventListener('click', showMainMenu);
+  
+  // Leaderboard
+  document.getElementById('gameOverLeaderboardBtn').addEventListener('click', () => openLeaderboard(lastLeaderboardEntry));
+  document.getElementById('closeLeaderboardBtn').addEventListener('click', closeLeaderboard);
+  document.querySelectorAll('.leaderboard-tab[data-sort]').forEach((tab) => {
+    tab.addEventListener('click', () => {
+      leaderboardView.sortBy = tab.dataset.sort;
+      renderLeaderboard();
+    });
+  });
+  document.getElementById('playerNameInput').addEventListener('change', (e) => {
+    renameLeaderboardEntry(lastLeaderboardEntry, e.target.value);
+    e.target.value = settings.playerName;
+  });
+  
+  // Achievements
+  document.getElementById('achievementsBtn').addEventListener('click', openAchievements);
+  document.getElementById('closeAchievementsBtn').addEventListener('click', closeAchievements);
+  
+  // Controls
+  document.getElementById('resetBindingsBtn').addEventListener('click', () => {
+    stopListening();
+    resetBindings();
+    renderControls();
+  });
+  document.getElementById('closeControlsBtn').addEventListener('click', closeControls);
+  window.addEventListener('gamepadconnected', renderControls);
+  window.addEventListener('gamepaddisconnected', renderControls);
+  document.getElementById('tiltToggleBtn').addEventListener('click', toggleTilt);
+  document.getElementById('calibrateTiltBtn').addEventListener('click', () => {
+    // The first tap asks the player to hold the phone naturally, the second one calibrates
+    if (!tiltCalibrating) {
+      tiltCalibrating = true;
+    } else if (calibrateTilt()) {
+      tiltCalibrating = false;
+      showToast('📱 Tilt calibrated');
+    } else {
+      tiltCalibrating = false;
+      showToast('📱 No tilt reading yet, this device may have no motion sensor', 'warning');
+    }
+    renderTiltSettings();
+  });
+  Object.entries({ sensitivity: 'tiltSensitivityInput', deadzone: 'tiltDeadzoneInput' }).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    input.min = TILT_SETTINGS[key].min;
+    input.max = TILT_SETTINGS[key].max;
+    input.addEventListener('input', () => {
+      setTiltSetting(key, parseFloat(input.value));
+      renderTiltSettings();
+    });
+  });
+  
+  // Profile
+  const profileFileInput = document.getElementById('profileFileInput');
+  document.getElementById('leaderboardEndpointInput').addEventListener('change', (e) => {
+    setLeaderboardEndpoint(e.target.value);
+    e.target.value = settings.leaderboardEndpoint;
+  });
+  document.getElementById('profileBtn').addEventListener('click', openProfile);
+  document.getElementById('closeProfileBtn').addEventListener('click', closeProfile);
+  document.getElementById('exportProfileBtn').addEventListener('click', downloadProfile);
+  document.getElementById('importProfileBtn').addEventListener('click', () => profileFileInput.click());
+  profileFileInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) uploadProfile(e.target.files[0]);
+    e.target.value = '';
+  });
+  
+  // Keyboard and gamepad controls
+  initInput();
   
   // Swipe controls for mobile
   let touchStartX = 0;
@@ -275,18 +288,36 @@ function setupEventListeners() {
     touchStartY = e.touches[0].clientY;
   }, { passive: true });
   
+  // Analog steering follows the finger while it drags sideways
+  canvas.addEventListener('touchmove', (e) => {
+    if (gameState.steering !== 'analog') return;
+    setTouchSteer((e.touches[0].clientX - touchStartX) / INPUT_CONFIG.dragRange);
+  }, { passive: true });
+  
   canvas.addEventListener('touchend', (e) => {
     const touchEndX = e.changedTouches[0].clientX;
     const touchEndY = e.changedTouches[0].clientY;
     const diffX = touchEndX - touchStartX;
     const diffY = touchEndY - touchStartY;
     
+    if (gameState.steering === 'analog') {
+      releaseSteerButton();
+    }
+    
     if (Math.abs(diffX) > Math.abs(diffY) && Math.abs(diffX) > 30) {
+      if (gameState.steering === 'analog') return; // The drag already steered
       if (diffX > 0) {
         moveRight();
       } else {
         moveLeft();
       }
+    } else if (diffY < -30) {
+      // Swipe up lights the nitro, another one lets it go
+      if (gameState.hasNitro) {
+        releaseNitro();
+      } else {
+        fireNitro();
+      }
     }
   }, { passive: true });
   
@@ -294,53 +325,10 @@ function setupEventListeners() {
   canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 }
 
-function handleKeyDown(e) {
-  if (e.key === 'ArrowLeft' || e.key === 'a' || e.key === 'A') {
-    moveLeft();
-  } else if (e.key === 'ArrowRight' || e.key === 'd' || e.key === 'D') {
-    moveRight();
-  } else if (e.key === ' ' || e.key === 'Escape') {
-    e.preventDefault();
-    togglePlayPause();
-  }
-}
-
-function handleKeyUp(e) {
-  // Can be used for continuous movement if needed
-}
-
 // ============================================
 // GAME CONTROLS
 // ============================================
 
-function moveLeft() {
-  if (!gameState.isPlaying || gameState.isPaused) return;
-  if (inputState.targetLane > 0) {
-    inputState.targetLane--;
-    playSound('whoosh');
-    
-    // AAA Effect: Spawn dust/tire smoke when changing lanes
-    if (player && CONFIG.enableParticles) {
-      spawnDustParticle(player.x + player.width, player.y + player.height - 10, 1);
-      spawnDustParticle(player.x + player.width, player.y + 20, 1);
-    }
-  }
-}
-
-function moveRight() {
-  if (!gameState.isPlaying || gameState.isPaused) return;
-  if (inputState.targetLane < CONFIG.lanes - 1) {
-    inputState.targetLane++;
-    playSound('whoosh');
-    
-    // AAA Effect: Spawn dust/tire smoke when changing lanes
-    if (player && CONFIG.enableParticles) {
-      spawnDustParticle(player.x, player.y + player.height - 10, -1);
-      spawnDustParticle(player.x, player.y + 20, -1);
-    }
-  }
-}
-
 function togglePlayPause() {
   if (gameState.isGameOver) {
     restartGame();
@@ -358,18 +346,37 @@ function togglePlayPause() {
   }
 }
 
-function startGame() {
+function startGame(seed = createSeed()) {
+  document.getElementById('mainMenu').style.display = 'none';
+  
   showCountdown(() => {
-    gameState.isPlaying = true;
-    gameState.isPaused = false;
-    gameState.isGameOver = false;
+    beginRun(seed);
+    updateUI();
+    document.getElementById('nitroBarContainer').classList.add('active');
     
+    document.getElementById('replayBadge').classList.toggle('active', replay.mode === 'playback');
+    document.getElementById('dailyBadge').classList.toggle('active', !!gameState.challenge);
     updatePlayPauseButton();
-    startSpawners();
     playSound('start');
   });
 }
 
+// Today's challenge: fixed seed and modifiers. Runs after the day's first attempt are practice.
+function startDailyChallenge() {
+  replay.mode = 'record';
+  resetGame();
+  const challenge = setupDailyChallenge();
+  initRoadMarkings(); // The modifiers may narrow the road
+  
+  const icons = challenge.modifiers.map(id => DAILY_MODIFIERS[id].icon).join(' ');
+  document.getElementById('dailyBadgeText').textContent = challenge.scored ? `DAILY ${icons}` : `PRACTICE ${icons}`;
+  if (!challenge.scored) {
+    showToast('📅 Today\'s score is in, this one is practice', 'warning');
+  }
+  
+  startGame(challenge.seed);
+}
+
 function showCountdown(callback) {
   const overlay = document.getElementById('countdownOverlay');
   const numberEl = document.getElementById('countdownNumber');
@@ -396,34 +403,20 @@ function showCountdown(callback) {
 }
 
 function pauseGame() {
-  gameState.isPaused = true;
+  pauseRun();
   document.getElementById('pauseOverlay').classList.add('active');
   updatePlayPauseButton();
-  stopSpawners();
 }
 
 function resumeGame() {
-  gameState.isPaused = false;
+  resumeRun();
   document.getElementById('pauseOverlay').classList.remove('active');
   updatePlayPauseButton();
-  startSpawners();
 }
 
-function gameOver() {
-  gameState.isPlaying = false;
-  gameState.isGameOver = true;
-  stopSpawners();
-  
-  // Update high score
-  const isNewRecord = gameState.score > gameState.topScore;
-  if (isNewRecord) {
-    gameState.topScore = gameState.score;
-    localStorage.setItem('hydraTopScore', gameState.topScore);
-  }
-  
-  // Save total coins
-  gameState.totalCoins += gameState.coins;
-  localStorage.setItem('hydraTotalCoins', gameState.totalCoins);
+function showGameOver(isNewRecord, entry) {
+  // The HUD stops updating with the run; show where it ended (empty clock, no hearts left)
+  updateUI();
   
   // Update game over screen
   document.getElementById('finalScore').textContent = gameState.score;
@@ -437,9 +430,39 @@ function gameOver() {
     newRecordEl.classList.remove('active');
   }
   
+  // Daily challenge runs report against the day instead of the leaderboard
+  const dailyResultEl = document.getElementById('dailyResult');
+  const challenge = replay.mode === 'record' ? gameState.challenge : null;
+  dailyResultEl.classList.toggle('active', !!challenge);
+  if (challenge) {
+    const result = dailyBests[challenge.date];
+    dailyResultEl.textContent = challenge.scored
+      ? `📅 Daily score for ${challenge.date}: ${result.score}`
+      : `📅 Practice run - today's score: ${result.score}`;
+  }
+  
+  // Name entry for runs that made the leaderboard
+  lastLeaderboardEntry = entry;
+  const entryEl = document.getElementById('leaderboardEntry');
+  entryEl.classList.toggle('active', !!entry);
+  if (entry) {
+    const scoreRank = getLeaderboardRank(entry, 'score');
+    document.getElementById('leaderboardEntryRank').textContent = scoreRank
+      ? `#${scoreRank}`
+      : `#${getLeaderboardRank(entry, 'distance')} 📏`;
+    document.getElementById('playerNameInput').value = entry.name;
+  }
+  
+  const titles = { crash: '💥 Game Over!', time: '⏱️ Time\'s Up!', quit: '🏁 Run Ended' };
+  document.getElementById('gameOverTitle').textContent = titles[gameState.endReason];
   document.getElementById('gameOverScreen').style.display = 'flex';
   updatePlayPauseButton();
   
+  if (gameState.endReason !== 'crash') {
+    playSound('start');
+    return;
+  }
+  
   // Create explosion particles
   createExplosion(player.x + player.width / 2, player.y + player.height / 2);
   
@@ -457,207 +480,761 @@ function gameOver() {
   }
 }
 
+// End the run from the pause screen
+function endGame() {
+  document.getElementById('pauseOverlay').classList.remove('active');
+  endRun();
+}
+
 function restartGame() {
-  // Reset game state
-  gameState.score = 0;
-  gameState.coins = 0;
-  gameState.distance = 0;
-  gameState.dodgedCars = 0;
-  gameState.combo = 0;
-  gameState.currentSpeed = 1;
-  gameState.difficultyLevel = 1;
-  gameState.isGameOver = false;
-  gameState.isPlaying = false;
-  gameState.isPaused = false;
-  
-  // Reset power-ups
-  gameState.hasShield = false;
-  gameState.hasMagnet = false;
-  gameState.hasSlowMo = false;
-  gameState.hasDoublePoints = false;
-  gameState.hasNitro = false;
-  gameState.activePowerUp = null;
-  
-  // Clear objects
-  enemies = [];
-  coins = [];
-  powerUps = [];
+  // Another go at the daily challenge stays on the daily challenge
+  if (gameState.challenge && replay.mode === 'record') {
+    startDailyChallenge();
+    return;
+  }
+  
+  replay.mode = 'record';
+  resetGame();
+  startGame();
+}
+
+function resetGame() {
+  resetRun();
+  fitWorldToCanvas(); // Catch up on resizes made during the last run
+  initRoadMarkings(); // Back to the regular lane count
+  
+  // Clear effects
   particles = [];
   
   // Reset visual effects
   visualFX.exhaustParticles = [];
   visualFX.sparkParticles = [];
   visualFX.dustParticles = [];
+  visualFX.scorePopups = [];
+  visualFX.nitroPoints = 0;
+  visualFX.nitroPopupTime = 0; // Game clock time, which restarts every run
   visualFX.speedLines = [];
   visualFX.screenShake = 0;
   visualFX.nitroActive = false;
   
-  // Reset player
-  initPlayer();
-  
   // Hide overlays
   document.getElementById('gameOverScreen').style.display = 'none';
   document.getElementById('pauseOverlay').classList.remove('active');
-  document.getElementById('powerupIndicator').classList.remove('active');
+  clearPowerUpChips();
   document.getElementById('comboDisplay').classList.remove('active');
   document.getElementById('nitroBarContainer').classList.remove('active');
+  document.getElementById('replayBadge').classList.remove('active');
+  document.getElementById('dailyBadge').classList.remove('active');
   
   updateUI();
+}
+
+function showMainMenu() {
+  replay.mode = 'record';
+  resetGame();
+  updatePlayPauseButton();
+  renderModeGrid();
+  renderMenuDaily();
+  document.getElementById('mainMenu').style.display = 'flex';
+}
+
+function renderModeGrid() {
+  const grid = document.getElementById('modeGrid');
+  grid.replaceChildren();
+  
+  for (const id in GAME_MODES) {
+    const mode = GAME_MODES[id];
+    const card = document.createElement('button');
+    card.className = 'mode-card';
+    card.classList.toggle('selected', id === settings.gameMode);
+    
+    const name = document.createElement('span');
+    name.className = 'mode-name';
+    name.textContent = `${mode.icon} ${mode.name}`;
+    const description = document.createElement('span');
+    description.className = 'mode-description';
+    description.textContent = mode.description;
+    const best = document.createElement('span');
+    best.className = 'mode-best';
+    best.textContent = `👑 ${getTopScore(id)}`;
+    card.append(name, description, best);
+    
+    card.addEventListener('click', () => startMode(id));
+    grid.append(card);
+  }
+}
+
+function startMode(id) {
+  selectGameMode(id);
+  replay.mode = 'record';
+  resetGame();
   startGame();
 }
 
-function resetTopScore() {
-  gameState.topScore = 0;
-  localStorage.setItem('hydraTopScore', 0);
-  updateUI();
-  showToast('🗑️ High score reset!', 'warning');
+function renderMenuDaily() {
+  const challenge = getDailyChallenge();
+  const result = dailyBests[challenge.date];
+  const modifiers = challenge.modifiers.map(id => DAILY_MODIFIERS[id]);
+  
+  const menuDaily = document.getElementById('menuDaily');
+  const names = modifiers.map(modifier => `${modifier.icon} ${modifier.name}`).join(' · ');
+  menuDaily.textContent = result ? `${names} - today's score: ${result.score}` : `${names} - one scored attempt`;
+  menuDaily.title = modifiers.map(modifier => modifier.description).join('\n');
 }
 
 // ============================================
-// SPAWNERS
+// LEADERBOARD UI
 // ============================================
 
-function startSpawners() {
-  stopSpawners(); // Clear any existing
+const leaderboardView = {
+  sortBy: 'score', // 'score', 'distance' or 'online'
+  gameMode: 'ENDLESS', // Mode whose local table is shown
+  highlight: null, // Entry to mark, e.g. the run that just ended
+  onlineRequest: 0, // Counts online fetches so only the latest one fills the list
+};
+
+// Entry from the last finished run, renamed from the game over screen
+let lastLeaderboardEntry = null;
+
+function openLeaderboard(highlight = null) {
+  leaderboardView.highlight = highlight;
+  leaderboardView.gameMode = highlight ? highlight.mode : gameState.gameMode;
+  renderLeaderboard();
+  document.getElementById('leaderboardScreen').style.display = 'flex';
+}
+
+function closeLeaderboard() {
+  document.getElementById('leaderboardScreen').style.display = 'none';
+}
+
+function renderLeaderboard() {
+  const sortBy = leaderboardView.sortBy;
+  const list = document.getElementById('leaderboardList');
+  list.replaceChildren();
+  
+  document.querySelectorAll('.leaderboard-tab[data-sort]').forEach((tab) => {
+    tab.classList.toggle('active', tab.dataset.sort === sortBy);
+  });
+  renderLeaderboardModes();
+  
+  if (sortBy === 'online') {
+    renderOnlineLeaderboard(list);
+    return;
+  }
+  
+  const entries = getLeaderboard(sortBy, leaderboardView.gameMode).slice(0, CONFIG.leaderboardSize);
+  showLeaderboardMessage(entries.length === 0 ? 'No runs yet. Go set a record!' : null);
+  entries.forEach((entry, index) => {
+    list.append(createLeaderboardRow(index + 1, entry, sortBy, entry === leaderboardView.highlight));
+  });
+}
+
+// One tab per game mode; the online board only ranks Endless runs
+function renderLeaderboardModes() {
+  const modesEl = document.getElementById('leaderboardModes');
+  modesEl.replaceChildren();
+  if (leaderboardView.sortBy === 'online') return;
+  
+  for (const id in GAME_MODES) {
+    const tab = document.createElement('button');
+    tab.className = 'leaderboard-tab';
+    tab.classList.toggle('active', id === leaderboardView.gameMode);
+    tab.textContent = GAME_MODES[id].icon;
+    tab.title = GAME_MODES[id].name;
+    tab.addEventListener('click', () => {
+      leaderboardView.gameMode = id;
+      renderLeaderboard();
+    });
+    modesEl.append(tab);
+  }
+}
+
+function renderOnlineLeaderboard(list) {
+  if (!isOnlineLeaderboardEnabled()) {
+    showLeaderboardMessage('Set an online leaderboard server in your profile to compare scores.');
+    return;
+  }
   
-  const spawnRate = Math.max(CONFIG.minEnemySpawnRate, 
-    CONFIG.enemySpawnRate - (gameState.difficultyLevel * 100));
+  showLeaderboardMessage('Loading...');
+  const request = ++leaderboardView.onlineRequest;
+  // The player may have switched tabs while waiting, or come back and started a newer fetch
+  const isStale = () => leaderboardView.sortBy !== 'online' || request !== leaderboardView.onlineRequest;
   
-  enemySpawnTimer = setInterval(spawnEnemy, spawnRate);
-  coinSpawnTimer = setInterval(spawnCoin, CONFIG.coinSpawnRate);
-  powerUpSpawnTimer = setInterval(spawnPowerUp, CONFIG.powerUpSpawnRate);
+  Promise.all([
+    fetchTopScores(),
+    fetchNeighborScores().catch(() => null), // No scores of our own yet
+  ]).then(([top, around]) => {
+    if (isStale()) return;
+    
+    showLeaderboardMessage(top.length === 0 ? 'No online runs yet. Be the first!' : null);
+    const isMine = entry => entry.playerId === settings.playerId;
+    top.forEach(entry => list.append(createLeaderboardRow(entry.rank, entry, 'score', isMine(entry))));
+    
+    // Show where the player stands when they are outside the top list
+    if (around && !top.some(isMine)) {
+      const separator = document.createElement('li');
+      separator.className = 'leaderboard-separator';
+      separator.textContent = '⋯';
+      list.append(separator);
+      around.scores.forEach(entry => list.append(createLeaderboardRow(entry.rank, entry, 'score', isMine(entry))));
+    }
+  }, () => {
+    if (!isStale()) {
+      showLeaderboardMessage('📡 Couldn\'t reach the online leaderboard.');
+    }
+  });
 }
 
-function stopSpawners() {
-  if (enemySpawnTimer) clearInterval(enemySpawnTimer);
-  if (coinSpawnTimer) clearInterval(coinSpawnTimer);
-  if (powerUpSpawnTimer) clearInterval(powerUpSpawnTimer);
+function showLeaderboardMessage(message) {
+  const messageEl = document.getElementById('leaderboardEmpty');
+  messageEl.textContent = message || '';
+  messageEl.classList.toggle('active', !!message);
 }
 
-function spawnEnemy() {
-  if (!gameState.isPlaying || gameState.isPaused) return;
+function createLeaderboardRow(rankNumber, entry, sortBy, highlight) {
+  const row = document.createElement('li');
+  row.className = 'leaderboard-row';
+  row.classList.toggle('highlight', highlight);
   
-  const lane = Math.floor(Math.random() * CONFIG.lanes);
-  const color = carColors[Math.floor(Math.random() * carColors.length)];
+  const rank = document.createElement('span');
+  rank.className = 'leaderboard-rank';
+  rank.textContent = rankNumber;
   
-  // Check if lane is clear enough
-  const minDistance = CONFIG.enemyHeight * 2;
-  const canSpawn = !enemies.some(e => e.lane === lane && e.y < minDistance);
+  const playerEl = document.createElement('div');
+  playerEl.className = 'leaderboard-player';
+  const name = document.createElement('span');
+  name.className = 'leaderboard-name';
+  name.textContent = entry.name;
+  const details = document.createElement('span');
+  details.className = 'leaderboard-details';
+  const other = sortBy === 'score' ? `📏 ${entry.distance}m` : `🏁 ${entry.score}`;
+  const date = new Date(entry.date).toLocaleDateString();
+  details.textContent = `${other} · 🪙 ${entry.coins} · 🚗 ${entry.dodged} · 🔥 x${entry.maxCombo} · ${date}`;
+  details.title = `Seed ${entry.seed}`;
+  playerEl.append(name, details);
   
-  if (canSpawn) {
-    enemies.push({
-      x: getLaneX(lane),
-      y: -CONFIG.enemyHeight,
-      width: CONFIG.enemyWidth,
-      height: CONFIG.enemyHeight,
-      lane: lane,
-      color: color,
-      speed: CONFIG.initialEnemySpeed + (gameState.difficultyLevel * 0.5),
-      passed: false,
-    });
+  const value = document.createElement('span');
+  value.className = 'leaderboard-value';
+  value.textContent = sortBy === 'score' ? entry.score : entry.distance + 'm';
+  
+  row.append(rank, playerEl, value);
+  return row;
+}
+
+// Send the run that just ended to the online leaderboard, if one is set up
+function submitRunOnline() {
+  if (!isOnlineLeaderboardEnabled() || !replay.last) return;
+  
+  submitScore(createSubmission(replay.last)).then((result) => {
+    if (result) {
+      showToast(`🌐 Online rank #${result.rank}`);
+    } else {
+      showToast('📡 Offline - run saved and will upload later', 'warning');
+    }
+  }, (error) => {
+    showToast(`⚠️ Online leaderboard refused the run: ${error.message}`, 'warning');
+  });
+}
+
+function confirmClearLeaderboard() {
+  if (!window.confirm('Clear every leaderboard entry and your best score? This cannot be undone.')) return;
+  
+  clearLeaderboard();
+  lastLeaderboardEntry = null;
+  document.getElementById('leaderboardEntry').classList.remove('active');
+  updateUI();
+  showToast('🗑️ Leaderboard cleared!', 'warning');
+}
+
+// ============================================
+// REPLAYS
+// ============================================
+
+function watchReplay(data) {
+  if (!data) {
+    showToast('⚠️ No replay to watch yet', 'warning');
+    return;
+  }
+  
+  loadReplay(data);
+  replay.last = data;
+  resetGame();
+  
+  // Play back in the world the run was recorded in, scaled to this screen
+  setWorldSize(data.width, data.height);
+  initWorldLayers();
+  
+  // Show the road and clock the run was driven with during the countdown
+  setRunRules(data.gameMode, data.modifiers);
+  initRoadMarkings();
+  updateUI();
+  startGame(data.seed);
+}
+
+function exportReplay() {
+  if (!replay.last) {
+    showToast('⚠️ No replay to export yet', 'warning');
+    return;
   }
+  
+  const blob = new Blob([JSON.stringify(replay.last)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `hydra-replay-${replay.last.seed}-${replay.last.score}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
-function spawnCoin() {
-  if (!gameState.isPlaying || gameState.isPaused) return;
+function importReplay(file) {
+  file.text().then((text) => {
+    const data = parseReplay(text);
+    if (!data) {
+      showToast('⚠️ Not a valid replay file, or one from an older version of the game', 'warning');
+      return;
+    }
+    showToast('🎬 Replay loaded!');
+    watchReplay(data);
+  });
+}
+
+// ============================================
+// GARAGE UI
+// ============================================
+
+function openGarage() {
+  // Never shop with the car still moving
+  if (gameState.isPlaying && !gameState.isPaused) {
+    pauseGame();
+  }
   
-  const lane = Math.floor(Math.random() * CONFIG.lanes);
+  renderGarage();
+  document.getElementById('garageScreen').style.display = 'flex';
+}
+
+function closeGarage() {
+  document.getElementById('garageScreen').style.display = 'none';
+}
+
+function renderGarage() {
+  document.getElementById('garageWallet').textContent = gameState.wallet;
   
-  // Don't spawn on top of enemies
-  const isSafe = !enemies.some(e => e.lane === lane && e.y < CONFIG.coinSize * 3);
+  renderGarageItems('paints', garage.paint, garage.ownedPaints, document.getElementById('garagePaints'));
+  renderGarageItems('bodies', garage.body, garage.ownedBodies, document.getElementById('garageBodies'));
   
-  if (isSafe) {
-    coins.push({
-      x: getLaneX(lane),
-      y: -CONFIG.coinSize,
-      size: CONFIG.coinSize,
-      lane: lane,
-      rotation: 0,
-      collected: false,
-    });
+  const upgradesEl = document.getElementById('garageUpgrades');
+  upgradesEl.replaceChildren();
+  for (const id in GARAGE_ITEMS.upgrades) {
+    upgradesEl.append(createUpgradeRow(id));
   }
 }
 
-function spawnPowerUp() {
-  if (!gameState.isPlaying || gameState.isPaused) return;
+function renderGarageItems(kind, equipped, owned, container) {
+  container.replaceChildren();
   
-  // Random chance to spawn
-  if (Math.random() > 0.5) return;
-  
-  const lane = Math.floor(Math.random() * CONFIG.lanes);
-  const types = Object.keys(POWER_UP_TYPES);
-  const type = types[Math.floor(Math.random() * types.length)];
-  
-  powerUps.push({
-    x: getLaneX(lane),
-    y: -CONFIG.powerUpSize,
-    size: CONFIG.powerUpSize,
-    lane: lane,
-    type: type,
-    rotation: 0,
-    pulse: 0,
+  for (const id in GARAGE_ITEMS[kind]) {
+    const item = GARAGE_ITEMS[kind][id];
+    const isOwned = owned.includes(id);
+    
+    const button = document.createElement('button');
+    button.className = 'garage-item';
+    button.classList.toggle('equipped', id === equipped);
+    button.classList.toggle('locked', !isOwned);
+    
+    if (kind === 'paints') {
+      const swatch = document.createElement('span');
+      swatch.className = 'garage-swatch';
+      swatch.style.background = item.color;
+      button.append(swatch);
+    }
+    
+    const name = document.createElement('span');
+    name.textContent = item.name;
+    const price = document.createElement('span');
+    price.className = 'garage-price';
+    price.textContent = id === equipped ? 'Equipped' : isOwned ? 'Owned' : `🪙 ${item.price}`;
+    button.append(name, price);
+    
+    button.addEventListener('click', () => {
+      if (isOwned) {
+        equipGarageItem(kind, id);
+      } else if (buyGarageItem(kind, id)) {
+        showToast(`🎨 ${item.name} unlocked!`);
+        playSound('coin');
+      } else {
+        showToast('⚠️ Not enough coins', 'warning');
+        return;
+      }
+      renderGarage();
+    });
+    
+    container.append(button);
+  }
+}
+
+function createUpgradeRow(id) {
+  const upgrade = GARAGE_ITEMS.upgrades[id];
+  const level = garage.upgrades[id];
+  const price = getUpgradePrice(id);
+  const formatValue = lvl => Math.round(getUpgradeValue(id, lvl) * upgrade.unitScale * 10) / 10 + upgrade.unit;
+  
+  const row = document.createElement('div');
+  row.className = 'garage-upgrade';
+  
+  const icon = document.createElement('span');
+  icon.textContent = upgrade.icon;
+  
+  const info = document.createElement('div');
+  info.className = 'garage-upgrade-info';
+  const name = document.createElement('span');
+  name.textContent = price === null
+    ? `${upgrade.name}: ${formatValue(level)}`
+    : `${upgrade.name}: ${formatValue(level)} → ${formatValue(level + 1)}`;
+  
+  const pips = document.createElement('div');
+  pips.className = 'garage-pips';
+  for (let i = 0; i < upgrade.prices.length; i++) {
+    const pip = document.createElement('span');
+    pip.className = 'garage-pip';
+    pip.classList.toggle('filled', i < level);
+    pips.append(pip);
+  }
+  info.append(name, pips);
+  
+  const button = document.createElement('button');
+  button.className = 'reset-btn';
+  button.textContent = price === null ? 'MAX' : `🪙 ${price}`;
+  button.disabled = price === null;
+  button.addEventListener('click', () => {
+    if (buyUpgrade(id)) {
+      showToast(`${upgrade.icon} ${upgrade.name} upgraded!`);
+      playSound('powerup');
+      renderGarage();
+    } else {
+      showToast('⚠️ Not enough coins', 'warning');
+    }
   });
+  
+  row.append(icon, info, button);
+  return row;
 }
 
 // ============================================
-// GAME LOGIC
+// ACHIEVEMENTS UI
 // ============================================
 
-function update() {
-  if (!gameState.isPlaying || gameState.isPaused) return;
+function openAchievements() {
+  if (gameState.isPlaying && !gameState.isPaused) {
+    pauseGame();
+  }
+  
+  renderAchievements();
+  document.getElementById('achievementsScreen').style.display = 'flex';
+}
+
+function closeAchievements() {
+  document.getElementById('achievementsScreen').style.display = 'none';
+}
+
+function renderAchievements() {
+  const list = document.getElementById('achievementsList');
+  list.replaceChildren();
   
-  const deltaSpeed = gameState.hasSlowMo ? 0.5 : 1;
-  const nitroMultiplier = gameState.hasNitro ? 1.8 : 1; // Nitro doubles effective speed
+  document.getElementById('achievementsUnlocked').textContent = Object.keys(achievements.unlocked).length;
+  document.getElementById('achievementsTotal').textContent = ACHIEVEMENTS.length;
   
-  // Update speed and difficulty
-  gameState.currentSpeed += CONFIG.speedIncreaseRate;
-  gameState.distance += gameState.currentSpeed * deltaSpeed * nitroMultiplier;
+  ACHIEVEMENTS.forEach((achievement) => {
+    const unlockedAt = achievements.unlocked[achievement.id];
+    const progress = getAchievementProgress(achievement);
+    
+    const row = document.createElement('div');
+    row.className = 'achievement ' + (unlockedAt ? 'unlocked' : 'locked');
+    
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.textContent = achievement.icon;
+    
+    const info = document.createElement('div');
+    info.className = 'achievement-info';
+    const name = document.createElement('span');
+    name.className = 'achievement-name';
+    name.textContent = achievement.name;
+    const description = document.createElement('span');
+    description.className = 'achievement-description';
+    description.textContent = achievement.description;
+    const bar = document.createElement('div');
+    bar.className = 'achievement-bar';
+    const fill = document.createElement('div');
+    fill.className = 'achievement-bar-fill';
+    fill.style.width = progress * 100 + '%';
+    bar.append(fill);
+    info.append(name, description, bar);
+    
+    const count = document.createElement('span');
+    count.className = 'achievement-count';
+    if (unlockedAt) {
+      count.textContent = new Date(unlockedAt).toLocaleDateString();
+    } else {
+      count.textContent = `${Math.floor(progress * achievement.goal)} / ${achievement.goal}`;
+    }
+    
+    row.append(icon, info, count);
+    list.append(row);
+  });
+}
+
+// ============================================
+// CONTROLS UI
+// ============================================
+
+// Binding slot waiting for a key or button: { action, device, slot }
+let listeningSlot = null;
+let tiltCalibrating = false; // Waiting for the tap that takes the current angle as neutral
+
+function openControls() {
+  renderControls();
+  document.getElementById('controlsScreen').style.display = 'flex';
+}
+
+function closeControls() {
+  stopListening();
+  tiltCalibrating = false;
+  document.getElementById('controlsScreen').style.display = 'none';
+}
+
+function stopListening() {
+  listeningSlot = null;
+  cancelCapture();
+}
+
+// Steering mode cards, then one row per action: its keyboard slots, then its gamepad slots
+function renderControls() {
+  const grid = document.getElementById('steeringGrid');
+  grid.replaceChildren();
   
-  // Nitro score bonus
-  if (gameState.hasNitro) {
-    gameState.score += Math.floor(10 * deltaSpeed); // Bonus points during nitro
+  for (const id in STEERING_MODES) {
+    const mode = STEERING_MODES[id];
+    const card = document.createElement('button');
+    card.className = 'mode-card';
+    card.classList.toggle('selected', id === settings.steering);
+    
+    const name = document.createElement('span');
+    name.className = 'mode-name';
+    name.textContent = `${mode.icon} ${mode.name}`;
+    const description = document.createElement('span');
+    description.className = 'mode-description';
+    description.textContent = mode.description;
+    card.append(name, description);
+    
+    card.addEventListener('click', () => {
+      selectSteeringMode(id);
+      renderControls();
+    });
+    grid.append(card);
   }
   
-  // Increase difficulty over time
-  if (gameState.distance % CONFIG.difficultyIncreaseInterval < 10) {
-    gameState.difficultyLevel = Math.floor(gameState.distance / CONFIG.difficultyIncreaseInterval) + 1;
+  const list = document.getElementById('bindingsList');
+  list.replaceChildren();
+  
+  Object.entries(INPUT_ACTIONS).forEach(([action, info]) => {
+    const row = document.createElement('div');
+    row.className = 'binding-row';
+    
+    const name = document.createElement('span');
+    name.className = 'binding-name';
+    name.textContent = `${info.icon} ${info.name}`;
+    row.append(name);
+    
+    ['keys', 'buttons'].forEach((device) => {
+      const slots = document.createElement('div');
+      slots.className = 'binding-slots';
+      
+      for (let slot = 0; slot < MAX_BINDINGS; slot++) {
+        slots.append(createBindingSlot(action, device, slot));
+      }
+      row.append(slots);
+    });
+    
+    list.append(row);
+  });
+  
+  renderTiltSettings();
+  
+  const pads = getConnectedGamepads();
+  document.getElementById('gamepadStatus').textContent = pads.length > 0
+    ? `🎮 ${getGamepadName(pads[0])} connected`
+    : '🎮 No gamepad found, press a button on it to connect';
+}
+
+function toggleTilt() {
+  if (settings.tilt.enabled) {
+    setTiltSetting('enabled', false);
+    disableTilt();
+    tiltCalibrating = false;
+    renderTiltSettings();
+    return;
   }
   
-  // Update player position (smooth lane transition)
-  const targetX = getLaneX(inputState.targetLane);
-  const dx = targetX - player.x;
-  player.x += dx * 0.15;
-  player.lane = inputState.targetLane;
+  enableTilt().then((granted) => {
+    if (!granted) {
+      showToast('📱 Tilt steering needs access to the motion sensors', 'warning');
+      return;
+    }
+    
+    setTiltSetting('enabled', true);
+    tiltCalibrating = true; // Start with a calibration
+    renderTiltSettings();
+  });
+}
+
+function renderTiltSettings() {
+  const tilt = settings.tilt;
+  document.getElementById('tiltSettings').classList.toggle('disabled', !tilt.enabled);
+  
+  const toggle = document.getElementById('tiltToggleBtn');
+  toggle.textContent = tilt.enabled ? 'On' : 'Off';
+  toggle.classList.toggle('empty', !tilt.enabled);
   
-  // Update road markings
-  updateRoadMarkings(deltaSpeed * nitroMultiplier);
+  document.getElementById('tiltSensitivityInput').value = tilt.sensitivity;
+  document.getElementById('tiltSensitivityValue').textContent = `${tilt.sensitivity.toFixed(1)}x`;
+  document.getElementById('tiltDeadzoneInput').value = tilt.deadzone;
+  document.getElementById('tiltDeadzoneValue').textContent = `${tilt.deadzone}°`;
   
-  // Update stars
-  updateStars();
+  document.getElementById('calibrateTiltBtn').classList.toggle('listening', tiltCalibrating);
+  document.getElementById('calibrateTiltLabel').textContent = tiltCalibrating
+    ? 'Hold your phone naturally and tap'
+    : 'Calibrate';
+  updateTiltStatus();
+}
+
+// Live reading, refreshed every frame while the controls screen is open
+function updateTiltStatus() {
+  let status = 'Steer by tilting your phone left and right';
+  if (settings.tilt.enabled && controls.tilt.angle === null) {
+    status = 'Waiting for the motion sensor…';
+  } else if (settings.tilt.enabled) {
+    const angle = Math.round(controls.tilt.angle - settings.tilt.neutral);
+    status = `Tilt ${angle}°, steering ${Math.round(controls.tilt.steer * 100)}%`;
+  }
+  setHudText('tiltStatus', status);
+}
+
+function createBindingSlot(action, device, slot) {
+  const value = settings.bindings[action][device][slot];
+  const isListening = listeningSlot !== null &&
+    listeningSlot.action === action && listeningSlot.device === device && listeningSlot.slot === slot;
   
-  // Update enemies
-  updateEnemies(deltaSpeed);
+  const button = document.createElement('button');
+  button.className = 'binding-slot';
+  
+  if (isListening) {
+    button.classList.add('listening');
+    button.textContent = device === 'keys' ? 'Press a key' : 'Press a button';
+  } else if (value === undefined) {
+    button.classList.add('empty');
+    button.textContent = '—';
+  } else {
+    button.textContent = device === 'keys' ? getKeyLabel(value) : getButtonLabel(value);
+  }
   
-  // Update coins
-  updateCoins(deltaSpeed);
+  button.addEventListener('click', () => {
+    // Clicking the waiting slot again cancels
+    if (isListening) {
+      stopListening();
+      renderControls();
+      return;
+    }
+    
+    listeningSlot = { action, device, slot };
+    captureBinding(device, (bound) => {
+      listeningSlot = null;
+      if (bound === null) {
+        clearBinding(action, device, slot);
+      } else {
+        setBinding(action, device, slot, bound);
+      }
+      renderControls();
+    });
+    renderControls();
+  });
   
-  // Update power-ups
-  updatePowerUps(deltaSpeed);
+  return button;
+}
+
+// ============================================
+// PROFILE UI
+// ============================================
+
+function openProfile() {
+  if (gameState.isPlaying && !gameState.isPaused) {
+    pauseGame();
+  }
   
-  // Update particles
-  updateParticles();
+  renderProfile();
+  document.getElementById('profileScreen').style.display = 'flex';
+}
+
+function closeProfile() {
+  document.getElementById('profileScreen').style.display = 'none';
+}
+
+function renderProfile() {
+  document.getElementById('profileRuns').textContent = stats.runs;
+  document.getElementById('profileTopScore').textContent = getTopScore('ENDLESS');
+  document.getElementById('profileBestDistance').textContent = stats.bestDistance + 'm';
+  document.getElementById('profileDistance').textContent = stats.totalDistance + 'm';
+  document.getElementById('profileDodged').textContent = stats.totalDodged;
+  document.getElementById('profileBestCombo').textContent = 'x' + stats.bestCombo;
+  document.getElementById('profileTotalCoins').textContent = gameState.totalCoins;
+  document.getElementById('profileWallet').textContent = gameState.wallet;
+  document.getElementById('leaderboardEndpointInput').value = settings.leaderboardEndpoint;
+}
+
+function downloadProfile() {
+  const blob = new Blob([exportProfile()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `hydra-profile-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function uploadProfile(file) {
+  file.text().then((text) => {
+    if (!importProfile(text)) {
+      showToast('⚠️ Not a valid profile file', 'warning');
+      return;
+    }
+    
+    sounds.enabled = settings.sound && !!sounds.context;
+    updateSoundButton();
+    updateUI();
+    renderProfile();
+    showToast('👤 Profile imported!');
+  });
+}
+
+// ============================================
+// SCENERY
+// ============================================
+
+// Scenery moves with the simulation but never affects it
+function updateScenery() {
+  // Snapshot positions so the renderer can interpolate between steps
+  roadMarkings.forEach(storePreviousPosition);
+  stars.forEach(storePreviousPosition);
   
-  // Update power-up timers
-  updatePowerUpTimers();
+  if (!gameState.isPlaying || gameState.isPaused) return;
   
-  // Update combo
-  updateCombo();
+  // Update road markings
+  updateRoadMarkings(getSlowMoFactor() * getNitroMultiplier());
   
-  // Update score
-  gameState.score += Math.floor(gameState.currentSpeed * deltaSpeed);
+  // Update stars
+  updateStars();
   
-  // Update UI
-  updateUI();
+  // Update particles
+  updateParticles();
 }
 
 function updateRoadMarkings(deltaSpeed) {
@@ -667,6 +1244,7 @@ function updateRoadMarkings(deltaSpeed) {
     marking.y += speed;
     if (marking.y > canvasHeight + 50) {
       marking.y = -50;
+      storePreviousPosition(marking); // Don't interpolate across the wrap
     }
   });
 }
@@ -676,92 +1254,13 @@ function updateStars() {
     star.y += star.speed * gameState.currentSpeed;
     if (star.y > canvasHeight) {
       star.y = 0;
-      star.x = Math.random() * canvasWidth;
+      star.x = fxRandom() * canvasWidth;
+      storePreviousPosition(star); // Don't interpolate across the wrap
     }
     star.opacity = 0.3 + Math.sin(Date.now() * 0.001 + star.x) * 0.2;
   });
 }
 
-function updateEnemies(deltaSpeed) {
-  for (let i = enemies.length - 1; i >= 0; i--) {
-    const enemy = enemies[i];
-    enemy.y += enemy.speed * gameState.currentSpeed * deltaSpeed;
-    
-    // Check collision
-    if (!gameState.hasShield && checkCollision(player, enemy)) {
-      gameOver();
-      return;
-    }
-    
-    // Check if passed player (for dodging score)
-    if (!enemy.passed && enemy.y > player.y + player.height) {
-      enemy.passed = true;
-      gameState.dodgedCars++;
-      handleDodge();
-    }
-    
-    // Remove off-screen enemies
-    if (enemy.y > canvasHeight + enemy.height) {
-      enemies.splice(i, 1);
-    }
-  }
-}
-
-function updateCoins(deltaSpeed) {
-  const magnetRange = gameState.hasMagnet ? 150 : 0;
-  
-  for (let i = coins.length - 1; i >= 0; i--) {
-    const coin = coins[i];
-    coin.y += CONFIG.roadMarkingSpeed * gameState.currentSpeed * deltaSpeed;
-    coin.rotation += 0.1;
-    
-    // Magnet effect
-    if (gameState.hasMagnet) {
-      const dx = player.x - coin.x;
-      const dy = player.y - coin.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      
-      if (dist < magnetRange) {
-        coin.x += dx * 0.1;
-        coin.y += dy * 0.1;
-      }
-    }
-    
-    // Check collection
-    if (checkCoinCollision(player, coin)) {
-      collectCoin(coin);
-      coins.splice(i, 1);
-      continue;
-    }
-    
-    // Remove off-screen coins
-    if (coin.y > canvasHeight + coin.size) {
-      coins.splice(i, 1);
-    }
-  }
-}
-
-function updatePowerUps(deltaSpeed) {
-  for (let i = powerUps.length - 1; i >= 0; i--) {
-    const powerUp = powerUps[i];
-    powerUp.y += CONFIG.roadMarkingSpeed * gameState.currentSpeed * deltaSpeed;
-    powerUp.rotation += 0.02;
-    powerUp.pulse = Math.sin(Date.now() * 0.005) * 0.2 + 1;
-    
-    // Check collection
-    if (checkPowerUpCollision(player, powerUp)) {
-      collectPowerUp(powerUp);
-      powerUps.splice(i, 1);
-      continue;
-    }
-    
-    // Remove off-screen power-ups
-    if (powerUp.y > canvasHeight + powerUp.size) {
-      powerUps.splice(i, 1);
-    }
-  }
-}
-
 function updateParticles() {
   for (let i = particles.length - 1; i >= 0; i--) {
     const p = particles[i];
@@ -777,179 +1276,215 @@ function updateParticles() {
   }
 }
 
-function updatePowerUpTimers() {
-  if (gameState.activePowerUp && Date.now() > gameState.powerUpEndTime) {
-    deactivatePowerUp();
-  }
-  
-  // Update power-up indicator
-  if (gameState.activePowerUp) {
-    const remaining = Math.ceil((gameState.powerUpEndTime - Date.now()) / 1000);
-    document.getElementById('powerupTimer').textContent = remaining + 's';
-    
-    // Update nitro bar if nitro is active
-    if (gameState.hasNitro) {
-      const totalDuration = CONFIG.nitroDuration;
-      const elapsed = Date.now() - (gameState.powerUpEndTime - totalDuration);
-      const progress = Math.max(0, 1 - (elapsed / totalDuration));
-      document.getElementById('nitroFill').style.width = (progress * 100) + '%';
-    }
-  }
-}
+// HUD chips for running power-ups, by type
+const powerUpChips = {};
 
-function updateCombo() {
-  const now = Date.now();
-  if (gameState.combo > 0 && now - gameState.lastDodgeTime > CONFIG.comboTimeout) {
-    gameState.combo = 0;
-    document.getElementById('comboDisplay').classList.remove('active');
+function updatePowerUpHUD() {
+  // Update each active effect's timer
+  for (const type in powerUpChips) {
+    const active = gameState.activePowerUps[type];
+    if (!active) continue;
+    
+    const remaining = getPowerUpRemaining(type);
+    const chip = powerUpChips[type];
+    chip.timer.textContent = Math.ceil(remaining / 1000) + 's';
+    chip.fill.style.width = (remaining / active.duration * 100) + '%';
+    chip.element.classList.toggle('ending', remaining < 1500);
   }
+  
+  updateNitroBar();
 }
 
-// ============================================
-// COLLISIONS
-// ============================================
-
-function checkCollision(a, b) {
-  const padding = 10; // Add some forgiveness
-  return (
-    a.x < b.x + b.width - padding &&
-    a.x + a.width > b.x + padding &&
-    a.y < b.y + b.height - padding &&
-    a.y + a.height > b.y + padding
-  );
+// Tank level and engine heat, shown for the whole run
+function updateNitroBar() {
+  const container = document.getElementById('nitroBarContainer');
+  const isOverheated = gameState.clock < gameState.nitroOverheatedUntil;
+  
+  container.classList.toggle('burning', gameState.hasNitro);
+  container.classList.toggle('ready', canFireNitro());
+  container.classList.toggle('overheated', isOverheated);
+  setHudText('nitroStatus', isOverheated ? 'OVERHEAT' : 'NITRO');
+  document.getElementById('nitroFill').style.width = (gameState.nitroCharge / CONFIG.nitroCapacity * 100) + '%';
+  document.getElementById('nitroHeatFill').style.width = (gameState.nitroHeat * 100) + '%';
 }
 
-function checkCoinCollision(player, coin) {
-  const centerX = coin.x + coin.size / 2;
-  const centerY = coin.y + coin.size / 2;
+function showPowerUpChip(type) {
+  if (powerUpChips[type]) return;
+  
+  const info = POWER_UP_TYPES[type];
+  const element = document.createElement('div');
+  element.className = 'powerup-chip glass-panel';
+  element.title = info.name;
+  element.style.setProperty('--chip-color', info.color);
   
-  const closestX = Math.max(player.x, Math.min(centerX, player.x + player.width));
-  const closestY = Math.max(player.y, Math.min(centerY, player.y + player.height));
+  const label = document.createElement('div');
+  label.className = 'powerup-chip-label';
+  const icon = document.createElement('span');
+  icon.textContent = info.icon;
+  const timer = document.createElement('span');
+  label.append(icon, timer);
   
-  const dx = centerX - closestX;
-  const dy = centerY - closestY;
+  const bar = document.createElement('div');
+  bar.className = 'powerup-chip-bar';
+  const fill = document.createElement('div');
+  fill.className = 'powerup-chip-fill';
+  bar.append(fill);
   
-  return (dx * dx + dy * dy) < (coin.size / 2) * (coin.size / 2);
+  element.append(label, bar);
+  document.getElementById('powerupList').append(element);
+  powerUpChips[type] = { element, timer, fill };
 }
 
-function checkPowerUpCollision(player, powerUp) {
-  const centerX = powerUp.x + powerUp.size / 2;
-  const centerY = powerUp.y + powerUp.size / 2;
-  
-  const closestX = Math.max(player.x, Math.min(centerX, player.x + player.width));
-  const closestY = Math.max(player.y, Math.min(centerY, player.y + player.height));
-  
-  const dx = centerX - closestX;
-  const dy = centerY - closestY;
-  
-  return (dx * dx + dy * dy) < (powerUp.size / 2) * (powerUp.size / 2);
+function removePowerUpChip(type) {
+  if (!powerUpChips[type]) return;
+  powerUpChips[type].element.remove();
+  delete powerUpChips[type];
+}
+
+function clearPowerUpChips() {
+  for (const type in powerUpChips) {
+    removePowerUpChip(type);
+  }
 }
 
 // ============================================
-// COLLECTION & SCORING
+// GAME VIEW (simulation core -> renderer/HUD)
 // ============================================
 
-function collectCoin(coin) {
-  const value = gameState.hasDoublePoints ? CONFIG.coinValue * 2 : CONFIG.coinValue;
-  gameState.coins += value;
-  gameState.score += value * 10;
-  
-  createCoinParticles(coin.x + coin.size / 2, coin.y + coin.size / 2);
-  playSound('coin');
-}
-
-function collectPowerUp(powerUp) {
-  const type = powerUp.type;
-  const powerUpInfo = POWER_UP_TYPES[type];
-  
-  // Deactivate current power-up if any
-  if (gameState.activePowerUp) {
-    deactivatePowerUp();
-  }
+const gameView = {
+  laneChanged(direction) {
+    playSound('whoosh');
+    
+    // AAA Effect: Spawn dust/tire smoke when changing lanes
+    if (CONFIG.enableParticles) {
+      const x = direction < 0 ? player.x + player.width : player.x;
+      spawnDustParticle(x, player.y + player.height - 10, -direction);
+      spawnDustParticle(x, player.y + 20, -direction);
+    }
+  },
   
-  gameState.activePowerUp = type;
+  comboChanged(combo) {
+    const comboDisplay = document.getElementById('comboDisplay');
+    
+    if (combo === 0) {
+      comboDisplay.classList.remove('active');
+      return;
+    }
+    
+    // Update combo display
+    if (combo >= 2) {
+      document.getElementById('comboCount').textContent = combo;
+      comboDisplay.classList.add('active');
+    }
+    
+    if (combo >= 3) {
+      playSound('combo');
+    }
+  },
   
-  switch (type) {
-    case 'SHIELD':
-      gameState.hasShield = true;
-      gameState.powerUpEndTime = Date.now() + CONFIG.shieldDuration;
-      break;
-    case 'MAGNET':
-      gameState.hasMagnet = true;
-      gameState.powerUpEndTime = Date.now() + CONFIG.magnetDuration;
-      break;
-    case 'SLOW_MO':
-      gameState.hasSlowMo = true;
-      gameState.powerUpEndTime = Date.now() + CONFIG.slowMoDuration;
-      break;
-    case 'DOUBLE_POINTS':
-      gameState.hasDoublePoints = true;
-      gameState.powerUpEndTime = Date.now() + CONFIG.doublePointsDuration;
-      break;
-    case 'NITRO':
-      gameState.hasNitro = true;
-      visualFX.nitroActive = true;
-      visualFX.nitroEndTime = Date.now() + CONFIG.nitroDuration;
-      gameState.powerUpEndTime = visualFX.nitroEndTime;
-      // Show nitro bar
-      document.getElementById('nitroBarContainer').classList.add('active');
-      // Trigger screen shake for impact
-      triggerScreenShake(5, 100);
-      break;
-  }
+  coinCollected(coin) {
+    createCoinParticles(coin.x + coin.size / 2, coin.y + coin.size / 2);
+    playSound('coin');
+  },
   
-  // Show power-up indicator
-  const indicator = document.getElementById('powerupIndicator');
-  document.getElementById('powerupIcon').textContent = powerUpInfo.icon;
-  document.getElementById('powerupText').textContent = powerUpInfo.name;
-  indicator.classList.add('active');
+  powerUpCollected(powerUp) {
+    const powerUpInfo = POWER_UP_TYPES[powerUp.type];
+    
+    createPowerUpParticles(powerUp.x + powerUp.size / 2, powerUp.y + powerUp.size / 2, powerUpInfo.color);
+    playSound('powerup');
+    
+    if (powerUpInfo.instant) {
+      const detail = powerUp.type === 'REPAIR' ? `❤️ ${gameState.lives}/${CONFIG.lives}` : 'Tank full';
+      showToast(`${powerUpInfo.icon} ${powerUpInfo.name}! ${detail}`);
+      return;
+    }
+    
+    // Show (or keep) this effect's chip
+    showPowerUpChip(powerUp.type);
+    updatePowerUpHUD();
+    showToast(`${powerUpInfo.icon} ${powerUpInfo.name} Active!`);
+  },
+  
+  achievementUnlocked(achievement) {
+    showToast(`${achievement.icon} Achievement unlocked: ${achievement.name}`, 'achievement');
+    playSound('combo');
+  },
   
-  createPowerUpParticles(powerUp.x + powerUp.size / 2, powerUp.y + powerUp.size / 2, powerUpInfo.color);
-  showToast(`${powerUpInfo.icon} ${powerUpInfo.name} Active!`);
-  playSound('powerup');
-}
-
-function deactivatePowerUp() {
-  gameState.hasShield = false;
-  gameState.hasMagnet = false;
-  gameState.hasSlowMo = false;
-  gameState.hasDoublePoints = false;
-  gameState.hasNitro = false;
-  gameState.activePowerUp = null;
-  visualFX.nitroActive = false;
+  bumped(enemy) {
+    triggerScreenShake(6);
+    playSound('whoosh');
+    
+    if (navigator.vibrate) {
+      navigator.vibrate(50);
+    }
+  },
   
-  document.getElementById('powerupIndicator').classList.remove('active');
-  document.getElementById('nitroBarContainer').classList.remove('active');
-}
-
-function handleDodge() {
-  const now = Date.now();
+  scored(points, reason, x, y) {
+    if (reason === 'distance') return; // Shown by the HUD score only
+    
+    // Nitro pays out every step; sum it up into one popup every half second
+    if (reason === 'nitro') {
+      visualFX.nitroPoints += points;
+      if (gameState.clock - visualFX.nitroPopupTime < 500) return;
+      points = visualFX.nitroPoints;
+      visualFX.nitroPoints = 0;
+      visualFX.nitroPopupTime = gameState.clock;
+    }
+    
+    const label = getScorePopupLabel(reason);
+    spawnScorePopup(label ? `${label} +${points}` : `+${points}`, x, y, SCORE_POPUP_STYLES[reason]);
+  },
+  
+  nearMiss(enemy, points) {
+    // Sparks fly off the side the car scraped past
+    if (CONFIG.enableParticles) {
+      const x = enemy.x > player.x ? player.x + player.width : player.x;
+      spawnSparkParticle(x, player.y + player.height - 15);
+      spawnSparkParticle(x, player.y + player.height / 2);
+    }
+    playSound('nearMiss');
+  },
   
-  // Check for combo
-  if (now - gameState.lastDodgeTime < CONFIG.comboTimeout) {
-    gameState.combo++;
-  } else {
-    gameState.combo = 1;
-  }
+  lifeLost(enemy) {
+    createExplosion(renderX(enemy) + enemy.width / 2, renderY(enemy) + enemy.height / 2);
+    triggerScreenShake(15);
+    playSound('crash');
+    
+    if (navigator.vibrate) {
+      navigator.vibrate([100, 50, 100]);
+    }
+  },
   
-  gameState.lastDodgeTime = now;
+  powerUpEnded(type) {
+    removePowerUpChip(type);
+  },
   
-  // Bonus points for combo
-  const comboBonus = gameState.combo * 50;
-  const doubleMultiplier = gameState.hasDoublePoints ? 2 : 1;
-  gameState.score += comboBonus * doubleMultiplier;
+  nitroStarted() {
+    visualFX.nitroActive = true;
+    // Trigger screen shake for impact
+    triggerScreenShake(5);
+    playSound('nitro');
+  },
   
-  // Update combo display
-  if (gameState.combo >= 2) {
-    const comboDisplay = document.getElementById('comboDisplay');
-    document.getElementById('comboCount').textContent = gameState.combo;
-    comboDisplay.classList.add('active');
-  }
+  nitroEnded(reason) {
+    visualFX.nitroActive = false;
+    
+    if (reason === 'overheat') {
+      showToast('🔥 Nitro overheated! Let it cool down', 'warning');
+      triggerScreenShake(8);
+      playSound('crash');
+    }
+  },
   
-  if (gameState.combo >= 3) {
-    playSound('combo');
-  }
-}
+  gameOver(isNewRecord, entry) {
+    showGameOver(isNewRecord, entry);
+    
+    // The online board ranks regular Endless runs only
+    if (replay.mode === 'record' && !gameState.challenge && gameState.gameMode === 'ENDLESS') {
+      submitRunOnline();
+    }
+  },
+};
 
 // ============================================
 // PARTICLES
@@ -960,9 +1495,9 @@ function createCoinParticles(x, y) {
     particles.push({
       x: x,
       y: y,
-      vx: (Math.random() - 0.5) * 8,
-      vy: (Math.random() - 0.5) * 8 - 3,
-      size: Math.random() * 6 + 3,
+      vx: (fxRandom() - 0.5) * 8,
+      vy: (fxRandom() - 0.5) * 8 - 3,
+      size: fxRandom() * 6 + 3,
       color: '#ffd700',
       life: 1,
     });
@@ -974,9 +1509,9 @@ function createPowerUpParticles(x, y, color) {
     particles.push({
       x: x,
       y: y,
-      vx: (Math.random() - 0.5) * 12,
-      vy: (Math.random() - 0.5) * 12,
-      size: Math.random() * 10 + 5,
+      vx: (fxRandom() - 0.5) * 12,
+      vy: (fxRandom() - 0.5) * 12,
+      size: fxRandom() * 10 + 5,
       color: color,
       life: 1,
     });
@@ -986,14 +1521,14 @@ function createPowerUpParticles(x, y, color) {
 function createExplosion(x, y) {
   for (let i = 0; i < 40; i++) {
     const angle = (Math.PI * 2 / 40) * i;
-    const speed = Math.random() * 10 + 5;
+    const speed = fxRandom() * 10 + 5;
     particles.push({
       x: x,
       y: y,
       vx: Math.cos(angle) * speed,
       vy: Math.sin(angle) * speed,
-      size: Math.random() * 15 + 5,
-      color: `hsl(${Math.random() * 60 + 10}, 100%, 50%)`,
+      size: fxRandom() * 15 + 5,
+      color: `hsl(${fxRandom() * 60 + 10}, 100%, 50%)`,
       life: 1,
     });
   }
@@ -1003,7 +1538,35 @@ function createExplosion(x, y) {
 // RENDERING
 // ============================================
 
-function render() {
+function render(timestamp) {
+  pollGamepads();
+  
+  // Advance the simulation in fixed steps for the real time that has passed
+  const frameTime = simLoop.lastFrameTime === null ? SIM_STEP : timestamp - simLoop.lastFrameTime;
+  simLoop.lastFrameTime = timestamp;
+  simLoop.accumulator += Math.min(frameTime, MAX_FRAME_TIME);
+  
+  while (simLoop.accumulator >= SIM_STEP) {
+    updateRoadTexture();
+    updateVisualFX();
+    updateScenery();
+    update();
+    simLoop.accumulator -= SIM_STEP;
+  }
+  
+  simLoop.alpha = simLoop.accumulator / SIM_STEP;
+  
+  // Power-up timers count down continuously; the rest of the HUD follows gameplay events
+  if (gameState.isPlaying) {
+    updatePowerUpHUD();
+  }
+  if (document.getElementById('controlsScreen').style.display === 'flex') {
+    updateTiltStatus();
+  }
+  
+  // Draw the world stretched over the canvas, which differs from it after a mid-run resize
+  ctx.setTransform(canvas.width / canvasWidth, 0, 0, canvas.height / canvasHeight, 0, 0);
+  
   // Clear canvas
   ctx.clearRect(0, 0, canvasWidth, canvasHeight);
   
@@ -1011,8 +1574,8 @@ function render() {
   
   // Apply screen shake if active
   if (visualFX.screenShake > 0) {
-    const shakeX = (Math.random() - 0.5) * visualFX.screenShakeIntensity * visualFX.screenShake;
-    const shakeY = (Math.random() - 0.5) * visualFX.screenShakeIntensity * visualFX.screenShake;
+    const shakeX = (fxRandom() - 0.5) * visualFX.screenShakeIntensity * visualFX.screenShake;
+    const shakeY = (fxRandom() - 0.5) * visualFX.screenShakeIntensity * visualFX.screenShake;
     ctx.translate(shakeX, shakeY);
   }
   
@@ -1049,23 +1612,18 @@ function render() {
     enemies.forEach(enemy => drawCar(enemy, enemy.color));
     
     // Draw player
-    if (player) {
-      drawPlayer();
-    }
+    drawPlayer();
     
     // Draw particles
     drawParticles();
     
     // Draw AAA visual effects
     drawVisualFX();
+    
+    // Draw score popups above everything
+    drawScorePopups();
   }
   
-  // Update visual effects
-  updateVisualFX();
-  
-  // Update game logic
-  update();
-  
   ctx.restore();
   
   // Continue render loop
@@ -1074,9 +1632,19 @@ function render() {
 
 // Road texture variables (declared before use)
 let roadTextureOffset = 0;
+let prevRoadTextureOffset = 0;
 let textureParticles = [];
 let roadCracks = [];
 
+// Offscreen road layers, rebuilt by initRoadTexture
+const roadLayers = {
+  base: null, // Asphalt gradient
+  grain: null, // Asphalt speckles, scroll with the road
+  cracks: null, // Cracks, scroll at half speed
+  edges: null, // Tire wear, shoulders and edge lines
+  edgesLanes: 0, // Lane count the tire wear was drawn for
+};
+
 function initRoadTexture() {
   textureParticles = [];
   roadCracks = [];
@@ -1084,27 +1652,71 @@ function initRoadTexture() {
   // Create asphalt grain particles (more particles for better texture)
   for (let i = 0; i < 400; i++) {
     textureParticles.push({
-      x: Math.random() * canvasWidth,
-      y: Math.random() * canvasHeight,
-      size: Math.random() * 2 + 0.3,
-      opacity: Math.random() * 0.12 + 0.03,
-      type: Math.random() > 0.7 ? 'light' : 'dark'
+      x: fxRandom() * canvasWidth,
+      y: fxRandom() * canvasHeight,
+      size: fxRandom() * 2 + 0.3,
+      opacity: fxRandom() * 0.12 + 0.03,
+      type: fxRandom() > 0.7 ? 'light' : 'dark'
     });
   }
   
   // Create random crack lines
   for (let i = 0; i < 8; i++) {
     roadCracks.push({
-      x: Math.random() * canvasWidth * 0.8 + canvasWidth * 0.1,
-      y: Math.random() * canvasHeight,
-      length: Math.random() * 40 + 20,
-      angle: Math.random() * Math.PI - Math.PI / 2,
-      width: Math.random() * 1.5 + 0.5
+      x: fxRandom() * canvasWidth * 0.8 + canvasWidth * 0.1,
+      y: fxRandom() * canvasHeight,
+      length: fxRandom() * 40 + 20,
+      angle: fxRandom() * Math.PI - Math.PI / 2,
+      width: fxRandom() * 1.5 + 0.5
     });
   }
+  
+  roadLayers.base = createOffscreenCanvas(canvasWidth, canvasHeight, drawRoadBase);
+  roadLayers.grain = createOffscreenCanvas(canvasWidth, canvasHeight, drawAsphaltGrain);
+  roadLayers.cracks = createOffscreenCanvas(canvasWidth, canvasHeight, drawRoadCracks);
+  initRoadEdges();
 }
 
+// Daily modifiers change the lane count at the start of a run, so the tire wear follows it
+function initRoadEdges() {
+  roadLayers.edges = createOffscreenCanvas(canvasWidth, canvasHeight, drawRoadEdges);
+  roadLayers.edgesLanes = CONFIG.lanes;
+}
+
+// Draw into a new offscreen canvas. Drawing functions use ctx, so it points there while draw runs.
+function createOffscreenCanvas(width, height, draw) {
+  const offscreen = document.createElement('canvas');
+  offscreen.width = width;
+  offscreen.height = height;
+  
+  const screenCtx = ctx;
+  ctx = offscreen.getContext('2d');
+  draw();
+  ctx = screenCtx;
+  
+  return offscreen;
+}
+
+// The road only ever scrolls, so it is built once into layers and blitted every frame
 function drawRoad() {
+  if (!roadLayers.base) initRoadTexture();
+  if (roadLayers.edgesLanes !== CONFIG.lanes) initRoadEdges();
+  
+  const textureOffset = lerp(prevRoadTextureOffset, roadTextureOffset, simLoop.alpha);
+  ctx.drawImage(roadLayers.base, 0, 0);
+  drawScrollingLayer(roadLayers.grain, textureOffset);
+  drawScrollingLayer(roadLayers.cracks, textureOffset * 0.5);
+  ctx.drawImage(roadLayers.edges, 0, 0);
+}
+
+// Two copies of a screen-sized tile, one above the other, shifted down by offset
+function drawScrollingLayer(layer, offset) {
+  const y = (offset % canvasHeight + canvasHeight) % canvasHeight;
+  ctx.drawImage(layer, 0, y);
+  ctx.drawImage(layer, 0, y - canvasHeight);
+}
+
+function drawRoadBase() {
   // Dark asphalt base gradient
   const gradient = ctx.createLinearGradient(0, 0, canvasWidth, 0);
   gradient.addColorStop(0, 'rgba(20, 20, 28, 0.98)');
@@ -1115,9 +1727,57 @@ function drawRoad() {
   
   ctx.fillStyle = gradient;
   ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+}
+
+function drawAsphaltGrain() {
+  textureParticles.forEach(p => {
+    if (p.type === 'light') {
+      ctx.fillStyle = `rgba(70, 70, 80, ${p.opacity})`;
+    } else {
+      ctx.fillStyle = `rgba(15, 15, 20, ${p.opacity * 1.5})`;
+    }
+    ctx.fillRect(p.x, p.y, p.size, p.size);
+    
+    // Speckles on the bottom edge continue at the top so the tile wraps seamlessly
+    if (p.y + p.size > canvasHeight) {
+      ctx.fillRect(p.x, p.y - canvasHeight, p.size, p.size);
+    }
+  });
+}
+
+function drawRoadCracks() {
+  // Subtle road cracks
+  ctx.strokeStyle = 'rgba(20, 20, 25, 0.4)';
   
-  // Asphalt texture - random speckles
-  drawAsphaltTexture();
+  roadCracks.forEach(crack => {
+    // Copies a tile above and below catch the ends of cracks that cross an edge
+    [-canvasHeight, 0, canvasHeight].forEach(tileY => {
+      ctx.save();
+      ctx.translate(crack.x, crack.y + tileY);
+      ctx.rotate(crack.angle);
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(crack.length, 0);
+      ctx.lineWidth = crack.width;
+      ctx.stroke();
+      ctx.restore();
+    });
+  });
+}
+
+function drawRoadEdges() {
+  // Subtle tire wear marks in center of lanes (very subtle)
+  ctx.globalAlpha = 0.08;
+  for (let lane = 0; lane < CONFIG.lanes; lane++) {
+    const laneCenter = lane * CONFIG.laneWidth + CONFIG.laneWidth / 2;
+    const trackOffset = CONFIG.playerWidth / 3;
+    
+    // Subtle darker tire tracks
+    ctx.fillStyle = 'rgba(10, 10, 15, 1)';
+    ctx.fillRect(laneCenter - trackOffset - 3, 0, 6, canvasHeight);
+    ctx.fillRect(laneCenter + trackOffset - 3, 0, 6, canvasHeight);
+  }
+  ctx.globalAlpha = 1.0;
   
   // Road shoulder/curb on left
   const shoulderGradientLeft = ctx.createLinearGradient(0, 0, 20, 0);
@@ -1150,63 +1810,22 @@ function drawRoad() {
   ctx.stroke();
 }
 
-function drawAsphaltTexture() {
+function updateRoadTexture() {
   // Update texture offset for scrolling effect
-  const speedMultiplier = gameState.hasSlowMo ? 0.5 : 1;
+  const speedMultiplier = getSlowMoFactor();
   const currentSpeed = gameState.isPlaying ? gameState.currentSpeed : 0.5;
+  prevRoadTextureOffset = roadTextureOffset;
   roadTextureOffset += CONFIG.roadMarkingSpeed * currentSpeed * speedMultiplier;
-  if (roadTextureOffset > canvasHeight) roadTextureOffset = 0;
-  
-  // Initialize particles if needed
-  if (textureParticles.length === 0) initRoadTexture();
-  
-  // Draw asphalt grain texture
-  textureParticles.forEach(p => {
-    const y = (p.y + roadTextureOffset) % canvasHeight;
-    
-    if (p.type === 'light') {
-      ctx.fillStyle = `rgba(70, 70, 80, ${p.opacity})`;
-    } else {
-      ctx.fillStyle = `rgba(15, 15, 20, ${p.opacity * 1.5})`;
-    }
-    ctx.fillRect(p.x, y, p.size, p.size);
-  });
-  
-  // Draw subtle road cracks
-  ctx.strokeStyle = 'rgba(20, 20, 25, 0.4)';
-  ctx.lineWidth = 1;
-  
-  roadCracks.forEach(crack => {
-    const y = (crack.y + roadTextureOffset * 0.5) % canvasHeight;
-    ctx.save();
-    ctx.translate(crack.x, y);
-    ctx.rotate(crack.angle);
-    ctx.beginPath();
-    ctx.moveTo(0, 0);
-    ctx.lineTo(crack.length, 0);
-    ctx.lineWidth = crack.width;
-    ctx.stroke();
-    ctx.restore();
-  });
-  
-  // Draw subtle tire wear marks in center of lanes (very subtle)
-  ctx.globalAlpha = 0.08;
-  for (let lane = 0; lane < CONFIG.lanes; lane++) {
-    const laneCenter = lane * CONFIG.laneWidth + CONFIG.laneWidth / 2;
-    const trackOffset = CONFIG.playerWidth / 3;
-    
-    // Subtle darker tire tracks
-    ctx.fillStyle = 'rgba(10, 10, 15, 1)';
-    ctx.fillRect(laneCenter - trackOffset - 3, 0, 6, canvasHeight);
-    ctx.fillRect(laneCenter + trackOffset - 3, 0, 6, canvasHeight);
+  if (roadTextureOffset > canvasHeight) {
+    roadTextureOffset -= canvasHeight;
+    prevRoadTextureOffset -= canvasHeight;
   }
-  ctx.globalAlpha = 1.0;
 }
 
 function drawStars() {
   stars.forEach(star => {
     ctx.beginPath();
-    ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+    ctx.arc(renderX(star), renderY(star), star.size, 0, Math.PI * 2);
     ctx.fillStyle = `rgba(255, 255, 255, ${star.opacity})`;
     ctx.fill();
   });
@@ -1224,16 +1843,51 @@ function drawRoadMarkings() {
     const markingWidth = 4;
     const markingHeight = 40;
     ctx.beginPath();
-    ctx.roundRect(marking.x - markingWidth/2, marking.y, markingWidth, markingHeight, 2);
+    ctx.roundRect(marking.x - markingWidth/2, renderY(marking), markingWidth, markingHeight, 2);
     ctx.fill();
     
     ctx.shadowBlur = 0;
   });
 }
 
+// Vehicle bodies are drawn once per type, color and size into an offscreen canvas and
+// blitted from there. Shadows, exhaust and the live effects (brake lights, blinkers, shield,
+// nitro) are drawn on top every frame.
+const CAR_SPRITE_PADDING = 40; // px around the body for light glows, headlight beams and wings
+const carSprites = new Map();
+
+function drawCarSprite(kind, color, x, y, w, h, drawBody) {
+  const key = `${kind}|${color}|${w}x${h}`;
+  let sprite = carSprites.get(key);
+  
+  if (!sprite) {
+    sprite = createOffscreenCanvas(w + CAR_SPRITE_PADDING * 2, h + CAR_SPRITE_PADDING * 2, () => {
+      drawBody(CAR_SPRITE_PADDING, CAR_SPRITE_PADDING, w, h, color);
+    });
+    carSprites.set(key, sprite);
+  }
+  
+  ctx.drawImage(sprite, x - CAR_SPRITE_PADDING, y - CAR_SPRITE_PADDING);
+}
+
 function drawCar(car, color) {
-  const x = car.x;
-  const y = car.y;
+  switch (car.type) {
+    case 'TRUCK':
+      drawTruck(car, color);
+      break;
+    case 'MOTORBIKE':
+      drawMotorbike(car, color);
+      break;
+    default:
+      drawSedan(car, color);
+  }
+  
+  drawEnemySignals(car);
+}
+
+function drawSedan(car, color) {
+  const x = renderX(car);
+  const y = renderY(car);
   const w = car.width;
   const h = car.height;
   
@@ -1256,6 +1910,18 @@ function drawCar(car, color) {
   ctx.ellipse(x + w / 2 + shadowOffset * 1.5, y + h, w / 2 + 5, 15, 0, 0, Math.PI * 2);
   ctx.fill();
   
+  drawCarSprite('SEDAN', color, x, y, w, h, drawSedanBody);
+  
+  ctx.restore();
+  
+  // ========== EXHAUST PARTICLES ==========
+  if (CONFIG.enableParticles && gameState.isPlaying) {
+    spawnExhaustParticle(x + w / 2 - 5, y + h + 2);
+    spawnExhaustParticle(x + w / 2 + 5, y + h + 2);
+  }
+}
+
+function drawSedanBody(x, y, w, h, color) {
   // ========== CAR BODY ==========
   
   // Base metallic gradient
@@ -1400,29 +2066,252 @@ function drawCar(car, color) {
   ctx.fillRect(x + w - 9, y + 19, 2, 4);
   ctx.fillRect(x + 5, y + h - 27, 2, 4);
   ctx.fillRect(x + w - 9, y + h - 27, 2, 4);
+}
+
+const TRUCK_CAB_HEIGHT = 34;
+
+function drawTruck(truck, color) {
+  const x = renderX(truck);
+  const y = renderY(truck);
+  const w = truck.width;
+  const h = truck.height;
+  
+  ctx.save();
+  
+  // Truck shadow
+  const shadowOffset = 3 + gameState.currentSpeed * 2;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+  ctx.beginPath();
+  ctx.roundRect(x + shadowOffset, y + 6, w, h, 6);
+  ctx.fill();
+  
+  drawCarSprite('TRUCK', color, x, y, w, h, drawTruckBody);
   
   ctx.restore();
   
   // ========== EXHAUST PARTICLES ==========
   if (CONFIG.enableParticles && gameState.isPlaying) {
-    spawnExhaustParticle(x + w / 2 - 5, y + h + 2);
-    spawnExhaustParticle(x + w / 2 + 5, y + h + 2);
+    spawnExhaustParticle(x + w - 4, y + h - TRUCK_CAB_HEIGHT - 2);
+  }
+}
+
+function drawTruckBody(x, y, w, h, color) {
+  const trailerHeight = h - TRUCK_CAB_HEIGHT - 4;
+  
+  // ========== WHEELS ==========
+  
+  ctx.fillStyle = '#222';
+  [y + 10, y + 26, y + trailerHeight - 22, y + h - 24].forEach(wheelY => {
+    ctx.fillRect(x - 2, wheelY, 6, 14);
+    ctx.fillRect(x + w - 4, wheelY, 6, 14);
+  });
+  
+  // ========== TRAILER (rear, towards the top) ==========
+  
+  const trailerGradient = ctx.createLinearGradient(x, 0, x + w, 0);
+  trailerGradient.addColorStop(0, '#9a9aa5');
+  trailerGradient.addColorStop(0.3, '#e4e4ea');
+  trailerGradient.addColorStop(0.7, '#c8c8d0');
+  trailerGradient.addColorStop(1, '#85858f');
+  
+  ctx.fillStyle = trailerGradient;
+  ctx.beginPath();
+  ctx.roundRect(x + 2, y, w - 4, trailerHeight, 3);
+  ctx.fill();
+  
+  // Trailer panel ribs
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+  ctx.lineWidth = 1;
+  for (let ribY = y + 12; ribY < y + trailerHeight - 4; ribY += 12) {
+    ctx.beginPath();
+    ctx.moveTo(x + 4, ribY);
+    ctx.lineTo(x + w - 4, ribY);
+    ctx.stroke();
+  }
+  
+  // Company stripe in the car color
+  ctx.fillStyle = color;
+  ctx.fillRect(x + w / 2 - 4, y + 4, 8, trailerHeight - 8);
+  
+  // ========== CAB (front, towards the bottom) ==========
+  
+  const cabY = y + trailerHeight + 4;
+  const cabHeight = TRUCK_CAB_HEIGHT;
+  const cabGradient = ctx.createLinearGradient(x, cabY, x + w, cabY + cabHeight);
+  cabGradient.addColorStop(0, shadeColor(color, 30));
+  cabGradient.addColorStop(0.5, color);
+  cabGradient.addColorStop(1, shadeColor(color, -35));
+  
+  ctx.fillStyle = cabGradient;
+  ctx.beginPath();
+  ctx.roundRect(x + 3, cabY, w - 6, cabHeight, [4, 4, 8, 8]);
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+  ctx.stroke();
+  
+  // Windshield
+  ctx.fillStyle = 'rgba(100, 170, 230, 0.85)';
+  ctx.beginPath();
+  ctx.roundRect(x + 7, cabY + cabHeight - 16, w - 14, 8, 2);
+  ctx.fill();
+  
+  // Coupling between cab and trailer
+  ctx.fillStyle = '#333';
+  ctx.fillRect(x + w / 2 - 5, cabY - 4, 10, 4);
+  
+  // ========== LIGHTS ==========
+  
+  // Taillights
+  ctx.shadowColor = 'rgba(255, 50, 50, 0.8)';
+  ctx.shadowBlur = 12;
+  ctx.fillStyle = '#ff3333';
+  ctx.fillRect(x + 4, y + 1, 7, 4);
+  ctx.fillRect(x + w - 11, y + 1, 7, 4);
+  ctx.shadowBlur = 0;
+  
+  // Headlights
+  ctx.fillStyle = 'rgba(200, 200, 180, 0.9)';
+  ctx.fillRect(x + 6, y + h - 6, 8, 4);
+  ctx.fillRect(x + w - 14, y + h - 6, 8, 4);
+}
+
+function drawMotorbike(bike, color) {
+  const x = renderX(bike);
+  const y = renderY(bike);
+  const w = bike.width;
+  const h = bike.height;
+  const cx = x + w / 2;
+  
+  ctx.save();
+  
+  // Bike shadow
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+  ctx.beginPath();
+  ctx.ellipse(cx + 3 + gameState.currentSpeed * 2, y + h / 2 + 4, w / 3, h / 2, 0, 0, Math.PI * 2);
+  ctx.fill();
+  
+  drawCarSprite('MOTORBIKE', color, x, y, w, h, drawMotorbikeBody);
+  
+  ctx.restore();
+}
+
+function drawMotorbikeBody(x, y, w, h, color) {
+  const cx = x + w / 2;
+  
+  // Tyres
+  ctx.fillStyle = '#1a1a1a';
+  ctx.beginPath();
+  ctx.roundRect(cx - 3, y, 6, 14, 3);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.roundRect(cx - 3, y + h - 14, 6, 14, 3);
+  ctx.fill();
+  
+  // Fairing
+  const bodyGradient = ctx.createLinearGradient(x, y, x + w, y);
+  bodyGradient.addColorStop(0, shadeColor(color, -30));
+  bodyGradient.addColorStop(0.5, shadeColor(color, 25));
+  bodyGradient.addColorStop(1, shadeColor(color, -30));
+  
+  ctx.fillStyle = bodyGradient;
+  ctx.beginPath();
+  ctx.moveTo(cx, y + h - 6);
+  ctx.quadraticCurveTo(x + w - 4, y + h - 18, x + w - 6, y + 16);
+  ctx.lineTo(x + 6, y + 16);
+  ctx.quadraticCurveTo(x + 4, y + h - 18, cx, y + h - 6);
+  ctx.closePath();
+  ctx.fill();
+  
+  // Handlebars
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(x, y + h - 20);
+  ctx.lineTo(x + w, y + h - 20);
+  ctx.stroke();
+  
+  // Rider helmet
+  const helmetGradient = ctx.createRadialGradient(cx - 2, y + 24, 1, cx, y + 26, 8);
+  helmetGradient.addColorStop(0, '#ffffff');
+  helmetGradient.addColorStop(0.4, '#cfcfcf');
+  helmetGradient.addColorStop(1, '#333');
+  ctx.fillStyle = helmetGradient;
+  ctx.beginPath();
+  ctx.arc(cx, y + 26, 8, 0, Math.PI * 2);
+  ctx.fill();
+  
+  // Taillight
+  ctx.shadowColor = 'rgba(255, 50, 50, 0.8)';
+  ctx.shadowBlur = 10;
+  ctx.fillStyle = '#ff3333';
+  ctx.fillRect(cx - 3, y + 12, 6, 3);
+  
+  // Headlight
+  ctx.shadowColor = 'rgba(255, 255, 220, 0.8)';
+  ctx.fillStyle = 'rgba(255, 255, 220, 0.95)';
+  ctx.beginPath();
+  ctx.arc(cx, y + h - 4, 3, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Live blinkers and brake lights drawn on top of the vehicle art
+function drawEnemySignals(car) {
+  const x = renderX(car);
+  const y = renderY(car);
+  const w = car.width;
+  
+  ctx.save();
+  
+  // Brake lights flare up on the rear (top) corners
+  if (car.isBraking) {
+    ctx.shadowColor = 'rgba(255, 30, 30, 1)';
+    ctx.shadowBlur = 25;
+    ctx.fillStyle = '#ff1a1a';
+    ctx.beginPath();
+    ctx.roundRect(x + 8, y + 11, 11, 9, 3);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.roundRect(x + w - 19, y + 11, 11, 9, 3);
+    ctx.fill();
+  }
+  
+  // Blinkers on the side the car is merging towards
+  const blinkOn = Math.floor(gameState.clock / 250) % 2 === 0;
+  if (car.mergeLane !== null && car.mergeLane !== undefined && blinkOn) {
+    // Screen left is the driver's right, since enemies face down the road
+    const blinkerX = car.mergeLane < car.lane ? x + 2 : x + w - 9;
+    ctx.shadowColor = 'rgba(255, 180, 0, 1)';
+    ctx.shadowBlur = 15;
+    ctx.fillStyle = '#ffb300';
+    ctx.beginPath();
+    ctx.roundRect(blinkerX, y + 8, 7, 6, 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.roundRect(blinkerX, y + car.height - 14, 7, 6, 2);
+    ctx.fill();
   }
+  
+  ctx.restore();
 }
 
 function drawPlayer() {
-  const x = player.x;
-  const y = player.y;
+  const x = renderX(player);
+  const y = renderY(player);
   const w = player.width;
   const h = player.height;
   const color = player.color;
   
   ctx.save();
   
+  // Blink while invulnerable after losing a life
+  if (isInvulnerable()) {
+    ctx.globalAlpha = Math.floor(gameState.clock / 100) % 2 ? 0.25 : 0.9;
+  }
+  
   // ========== NITRO BOOST EFFECT ==========
   if (visualFX.nitroActive || gameState.hasNitro) {
     // Nitro flames from exhaust
-    const flameHeight = 30 + Math.random() * 20;
+    const flameHeight = 30 + fxRandom() * 20;
     const flameGradient = ctx.createLinearGradient(x + w/2, y + h, x + w/2, y + h + flameHeight);
     flameGradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
     flameGradient.addColorStop(0.2, 'rgba(100, 200, 255, 0.8)');
@@ -1435,10 +2324,6 @@ function drawPlayer() {
     ctx.quadraticCurveTo(x + w/2 - 12, y + h + flameHeight/2, x + w/2, y + h + flameHeight);
     ctx.quadraticCurveTo(x + w/2 + 12, y + h + flameHeight/2, x + w/2 + 8, y + h);
     ctx.fill();
-    
-    // Nitro glow around car
-    ctx.shadowColor = 'rgba(100, 150, 255, 0.8)';
-    ctx.shadowBlur = 30;
   }
   
   // ========== SHIELD EFFECT (Enhanced) ==========
@@ -1490,9 +2375,7 @@ function drawPlayer() {
     ctx.shadowBlur = 0;
   }
   
-  // ========== PREMIUM PLAYER CAR ==========
-  
-  // Multi-layer shadow for depth
+  // Multi-layer shadow for depth, kept out of the sprite so the nitro glow doesn't blur it
   ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
   ctx.beginPath();
   ctx.ellipse(x + w/2 + 4, y + h - 2, w/2 + 3, 14, 0, 0, Math.PI * 2);
@@ -1503,6 +2386,36 @@ function drawPlayer() {
   ctx.ellipse(x + w/2 + 6, y + h + 2, w/2 + 8, 18, 0, 0, Math.PI * 2);
   ctx.fill();
   
+  // Nitro glow around car
+  if (visualFX.nitroActive || gameState.hasNitro) {
+    ctx.shadowColor = 'rgba(100, 150, 255, 0.8)';
+    ctx.shadowBlur = 30;
+  }
+  
+  drawCarSprite(`PLAYER_${player.body}`, color, x, y, w, h, (bodyX, bodyY) => {
+    drawPlayerBody(bodyX, bodyY, w, h, color, player.body);
+  });
+  
+  ctx.restore();
+  
+  // ========== EXHAUST PARTICLES ==========
+  if (CONFIG.enableParticles && gameState.isPlaying) {
+    // Normal exhaust
+    if (fxRandom() > 0.7) {
+      spawnExhaustParticle(x + w/2 - 6, y + h + 3);
+      spawnExhaustParticle(x + w/2 + 6, y + h + 3);
+    }
+    
+    // Nitro boost particles
+    if (visualFX.nitroActive || gameState.hasNitro) {
+      for (let i = 0; i < 3; i++) {
+        spawnNitroParticle(x + w/2, y + h + 5);
+      }
+    }
+  }
+}
+
+function drawPlayerBody(x, y, w, h, color, body) {
   // ========== SPORTS CAR BODY ==========
   
   // Metallic paint with clear coat effect
@@ -1668,23 +2581,9 @@ function drawPlayer() {
     ctx.fill();
   }
   
-  // ========== RACING STRIPES ==========
-  
-  ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
-  ctx.fillRect(x + w/2 - 5, y + 10, 3, h - 20);
-  ctx.fillRect(x + w/2 + 2, y + 10, 3, h - 20);
-  
-  // ========== SPOILER ==========
-  
-  ctx.fillStyle = shadeColor(color, -30);
-  ctx.beginPath();
-  ctx.roundRect(x + 6, y + h - 8, w - 12, 4, 1);
-  ctx.fill();
+  // ========== BODY KIT (stripes, spoiler, extras) ==========
   
-  // Spoiler supports
-  ctx.fillStyle = 'rgba(50, 50, 50, 0.8)';
-  ctx.fillRect(x + 10, y + h - 10, 3, 6);
-  ctx.fillRect(x + w - 13, y + h - 10, 3, 6);
+  drawBodyKit(body, x, y, w, h, color);
   
   // ========== WHEELS ==========
   
@@ -1723,29 +2622,105 @@ function drawPlayer() {
   ctx.beginPath();
   ctx.ellipse(x + w - 3, y + 35, 4, 3, 0, 0, Math.PI * 2);
   ctx.fill();
-  
-  ctx.restore();
-  
-  // ========== EXHAUST PARTICLES ==========
-  if (CONFIG.enableParticles && gameState.isPlaying) {
-    // Normal exhaust
-    if (Math.random() > 0.7) {
-      spawnExhaustParticle(x + w/2 - 6, y + h + 3);
-      spawnExhaustParticle(x + w/2 + 6, y + h + 3);
-    }
-    
-    // Nitro boost particles
-    if (visualFX.nitroActive || gameState.hasNitro) {
+}
+
+// Garage body styles on top of the shared sports car shell
+function drawBodyKit(body, x, y, w, h, color) {
+  switch (body) {
+    case 'GT':
+      // Wide white stripes
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+      ctx.fillRect(x + w/2 - 8, y + 8, 6, h - 14);
+      ctx.fillRect(x + w/2 + 2, y + 8, 6, h - 14);
+      
+      // Big rear wing with endplates, wider than the body
+      ctx.fillStyle = 'rgba(50, 50, 50, 0.9)';
+      ctx.fillRect(x + 12, y + h - 12, 3, 8);
+      ctx.fillRect(x + w - 15, y + h - 12, 3, 8);
+      ctx.fillStyle = shadeColor(color, -40);
+      ctx.beginPath();
+      ctx.roundRect(x + 1, y + h - 7, w - 2, 6, 2);
+      ctx.fill();
+      ctx.fillStyle = '#222';
+      ctx.fillRect(x, y + h - 9, 3, 9);
+      ctx.fillRect(x + w - 3, y + h - 9, 3, 9);
+      break;
+      
+    case 'MUSCLE':
+      // Bold black twin stripes
+      ctx.fillStyle = 'rgba(10, 10, 15, 0.7)';
+      ctx.fillRect(x + w/2 - 9, y + 8, 7, h - 14);
+      ctx.fillRect(x + w/2 + 2, y + 8, 7, h - 14);
+      
+      // Supercharger poking through the hood
+      ctx.fillStyle = '#888';
+      ctx.beginPath();
+      ctx.roundRect(x + w/2 - 6, y + h - 40, 12, 16, 2);
+      ctx.fill();
+      ctx.fillStyle = '#333';
       for (let i = 0; i < 3; i++) {
-        spawnNitroParticle(x + w/2, y + h + 5);
+        ctx.fillRect(x + w/2 - 4, y + h - 37 + i * 5, 8, 2);
       }
-    }
+      
+      // Ducktail
+      ctx.fillStyle = shadeColor(color, -30);
+      ctx.beginPath();
+      ctx.roundRect(x + 10, y + h - 7, w - 20, 3, 1);
+      ctx.fill();
+      break;
+      
+    case 'RALLY':
+      // Roof light pod
+      ctx.fillStyle = '#222';
+      ctx.beginPath();
+      ctx.roundRect(x + 12, y + 44, w - 24, 5, 2);
+      ctx.fill();
+      ctx.fillStyle = '#ffffcc';
+      for (let i = 0; i < 4; i++) {
+        ctx.beginPath();
+        ctx.arc(x + 15 + i * ((w - 30) / 3), y + 46.5, 1.8, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      
+      // Door number roundel
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.beginPath();
+      ctx.arc(x + w/2, y + h - 24, 8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#111';
+      ctx.font = 'bold 10px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('7', x + w/2, y + h - 24);
+      
+      // Mud flaps
+      ctx.fillStyle = '#1a1a1a';
+      ctx.fillRect(x + 3, y + h - 10, 7, 6);
+      ctx.fillRect(x + w - 10, y + h - 10, 7, 6);
+      break;
+      
+    default:
+      // Subtle racing stripes
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+      ctx.fillRect(x + w/2 - 5, y + 10, 3, h - 20);
+      ctx.fillRect(x + w/2 + 2, y + 10, 3, h - 20);
+      
+      // Spoiler
+      ctx.fillStyle = shadeColor(color, -30);
+      ctx.beginPath();
+      ctx.roundRect(x + 6, y + h - 8, w - 12, 4, 1);
+      ctx.fill();
+      
+      // Spoiler supports
+      ctx.fillStyle = 'rgba(50, 50, 50, 0.8)';
+      ctx.fillRect(x + 10, y + h - 10, 3, 6);
+      ctx.fillRect(x + w - 13, y + h - 10, 3, 6);
   }
 }
 
 function drawCoin(coin) {
   ctx.save();
-  ctx.translate(coin.x + coin.size / 2, coin.y + coin.size / 2);
+  ctx.translate(renderX(coin) + coin.size / 2, renderY(coin) + coin.size / 2);
   
   // Simulate 3D rotation
   const scaleX = Math.abs(Math.cos(coin.rotation));
@@ -1788,7 +2763,7 @@ function drawPowerUp(powerUp) {
   const info = POWER_UP_TYPES[powerUp.type];
   
   ctx.save();
-  ctx.translate(powerUp.x + powerUp.size / 2, powerUp.y + powerUp.size / 2);
+  ctx.translate(renderX(powerUp) + powerUp.size / 2, renderY(powerUp) + powerUp.size / 2);
   ctx.rotate(powerUp.rotation);
   ctx.scale(powerUp.pulse, powerUp.pulse);
   
@@ -1839,13 +2814,105 @@ function drawParticles() {
 // UI UPDATES
 // ============================================
 
+// Floating popup look per scoring reason
+const SCORE_POPUP_STYLES = {
+  coin: { color: '#ffd700', size: 16 },
+  combo: { color: '#ff8040', size: 18 },
+  nitro: { color: '#00d4ff', size: 16 },
+  nearMiss: { color: '#00ff88', size: 18 },
+};
+
+function getScorePopupLabel(reason) {
+  switch (reason) {
+    case 'combo':
+      return gameState.combo > 1 ? `COMBO x${gameState.combo}` : '';
+    case 'nitro':
+      return 'NITRO';
+    case 'nearMiss':
+      return gameState.nearMissChain > 1 ? `CLOSE CALL x${gameState.nearMissChain}!` : 'CLOSE CALL!';
+    default:
+      return '';
+  }
+}
+
+// Last text written to each HUD element, so events that don't change it skip the DOM
+const hudText = {};
+
+function setHudText(id, text) {
+  text = String(text);
+  if (hudText[id] === text) return;
+  hudText[id] = text;
+  document.getElementById(id).textContent = text;
+}
+
+// HUD listeners: each one refreshes only what its event changed
+const hudView = {
+  scored() {
+    setHudText('score', gameState.score);
+  },
+  
+  distanceChanged(meters) {
+    setHudText('distanceDisplay', meters + 'm');
+    setHudText('speedDisplay', gameState.currentSpeed.toFixed(1) + 'x');
+  },
+  
+  coinCollected() {
+    setHudText('coins', gameState.coins);
+  },
+  
+  dodge() {
+    setHudText('dodgedDisplay', gameState.dodgedCars);
+  },
+  
+  timeChanged() {
+    updateModeDisplay();
+  },
+  
+  bumped() {
+    updateModeDisplay();
+  },
+  
+  livesChanged() {
+    updateLivesDisplay();
+  },
+};
+
+// Redraw the whole HUD (run start and end, menus, settings changes)
 function updateUI() {
-  document.getElementById('score').textContent = gameState.score;
-  document.getElementById('topScore').textContent = gameState.topScore;
-  document.getElementById('coins').textContent = gameState.coins;
-  document.getElementById('speedDisplay').textContent = gameState.currentSpeed.toFixed(1) + 'x';
-  document.getElementById('distanceDisplay').textContent = Math.floor(gameState.distance) + 'm';
-  document.getElementById('dodgedDisplay').textContent = gameState.dodgedCars;
+  setHudText('score', gameState.score);
+  setHudText('topScore', getTopScore());
+  setHudText('coins', gameState.coins);
+  setHudText('speedDisplay', gameState.currentSpeed.toFixed(1) + 'x');
+  setHudText('distanceDisplay', Math.floor(gameState.distance) + 'm');
+  setHudText('dodgedDisplay', gameState.dodgedCars);
+  updateModeDisplay();
+  updateLivesDisplay();
+}
+
+// Hearts for runs that can take more than one crash
+function updateLivesDisplay() {
+  const livesDisplay = document.getElementById('livesDisplay');
+  livesDisplay.classList.toggle('active', CONFIG.lives > 1);
+  if (CONFIG.lives > 1) {
+    setHudText('livesHearts', '❤️'.repeat(gameState.lives) + '🖤'.repeat(CONFIG.lives - gameState.lives));
+  }
+}
+
+// Clock for timed modes, bumps for modes without crashes
+function updateModeDisplay() {
+  const mode = GAME_MODES[gameState.gameMode];
+  const modeDisplay = document.getElementById('modeDisplay');
+  const isTimed = gameState.timeLeft !== null;
+  
+  modeDisplay.classList.toggle('active', isTimed || !mode.crashes);
+  modeDisplay.classList.toggle('warning', isTimed && gameState.timeLeft < 10000);
+  if (isTimed) {
+    setHudText('modeIcon', mode.icon);
+    setHudText('modeValue', (gameState.timeLeft / 1000).toFixed(1) + 's');
+  } else if (!mode.crashes) {
+    setHudText('modeIcon', '💥');
+    setHudText('modeValue', gameState.bumps);
+  }
 }
 
 function updatePlayPauseButton() {
@@ -1859,12 +2926,16 @@ function updatePlayPauseButton() {
   }
 }
 
+let toastTimeout = null;
+
 function showToast(message, type = 'success') {
   const toast = document.getElementById('toast');
   toast.textContent = message;
-  toast.className = 'toast show' + (type === 'warning' ? ' warning' : '');
+  toast.className = 'toast show' + (type === 'success' ? '' : ' ' + type);
   
-  setTimeout(() => {
+  // A newer toast gets its full time on screen
+  clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(() => {
     toast.classList.remove('show');
   }, 2500);
 }
@@ -1875,6 +2946,12 @@ function showToast(message, type = 'success') {
 
 function toggleSound() {
   sounds.enabled = !sounds.enabled;
+  settings.sound = sounds.enabled;
+  saveProfile();
+  updateSoundButton();
+}
+
+function updateSoundButton() {
   const btn = document.getElementById('soundBtn');
   const icon = btn.querySelector('i');
   
@@ -1927,6 +3004,16 @@ function playSound(type) {
       oscillator.stop(ctx.currentTime + 0.3);
       break;
       
+    case 'nitro':
+      oscillator.type = 'sawtooth';
+      oscillator.frequency.setValueAtTime(120, ctx.currentTime);
+      oscillator.frequency.exponentialRampToValueAtTime(480, ctx.currentTime + 0.35);
+      gainNode.gain.setValueAtTime(0.12, ctx.currentTime);
+      gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.35);
+      oscillator.start(ctx.currentTime);
+      oscillator.stop(ctx.currentTime + 0.35);
+      break;
+      
     case 'whoosh':
       oscillator.type = 'sine';
       oscillator.frequency.setValueAtTime(300, ctx.currentTime);
@@ -1947,6 +3034,16 @@ function playSound(type) {
       oscillator.stop(ctx.currentTime + 0.2);
       break;
       
+    case 'nearMiss':
+      oscillator.type = 'triangle';
+      oscillator.frequency.setValueAtTime(1400, ctx.currentTime);
+      oscillator.frequency.exponentialRampToValueAtTime(700, ctx.currentTime + 0.12);
+      gainNode.gain.setValueAtTime(0.08, ctx.currentTime);
+      gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.12);
+      oscillator.start(ctx.currentTime);
+      oscillator.stop(ctx.currentTime + 0.12);
+      break;
+      
     case 'beep':
       oscillator.frequency.setValueAtTime(440, ctx.currentTime);
       gainNode.gain.setValueAtTime(0.1, ctx.currentTime);
@@ -1972,29 +3069,29 @@ function playSound(type) {
 // ============================================
 
 function spawnExhaustParticle(x, y) {
-  if (Math.random() > 0.3) return; // Throttle spawn rate
+  if (fxRandom() > 0.3) return; // Throttle spawn rate
   
   visualFX.exhaustParticles.push({
-    x: x + (Math.random() - 0.5) * 4,
+    x: x + (fxRandom() - 0.5) * 4,
     y: y,
-    vx: (Math.random() - 0.5) * 0.5,
-    vy: 2 + Math.random() * 2,
-    size: 2 + Math.random() * 3,
+    vx: (fxRandom() - 0.5) * 0.5,
+    vy: 2 + fxRandom() * 2,
+    size: 2 + fxRandom() * 3,
     life: 1,
-    decay: 0.03 + Math.random() * 0.02,
-    color: `rgba(${100 + Math.random() * 50}, ${100 + Math.random() * 50}, ${100 + Math.random() * 50}, `,
+    decay: 0.03 + fxRandom() * 0.02,
+    color: `rgba(${100 + fxRandom() * 50}, ${100 + fxRandom() * 50}, ${100 + fxRandom() * 50}, `,
   });
 }
 
 function spawnNitroParticle(x, y) {
   visualFX.exhaustParticles.push({
-    x: x + (Math.random() - 0.5) * 10,
+    x: x + (fxRandom() - 0.5) * 10,
     y: y,
-    vx: (Math.random() - 0.5) * 2,
-    vy: 5 + Math.random() * 5,
-    size: 4 + Math.random() * 6,
+    vx: (fxRandom() - 0.5) * 2,
+    vy: 5 + fxRandom() * 5,
+    size: 4 + fxRandom() * 6,
     life: 1,
-    decay: 0.05 + Math.random() * 0.03,
+    decay: 0.05 + fxRandom() * 0.03,
     isNitro: true,
   });
 }
@@ -2004,22 +3101,34 @@ function spawnSparkParticle(x, y) {
     visualFX.sparkParticles.push({
       x: x,
       y: y,
-      vx: (Math.random() - 0.5) * 8,
-      vy: (Math.random() - 0.5) * 8 - 2,
-      size: 1 + Math.random() * 2,
+      vx: (fxRandom() - 0.5) * 8,
+      vy: (fxRandom() - 0.5) * 8 - 2,
+      size: 1 + fxRandom() * 2,
       life: 1,
-      decay: 0.08 + Math.random() * 0.05,
+      decay: 0.08 + fxRandom() * 0.05,
     });
   }
 }
 
+// Floating points at a world position, drawn on the canvas
+function spawnScorePopup(text, x, y, style) {
+  visualFX.scorePopups.push({
+    text: text,
+    x: x,
+    y: y,
+    color: style.color,
+    size: style.size,
+    life: 1,
+  });
+}
+
 function spawnDustParticle(x, y, direction) {
   visualFX.dustParticles.push({
     x: x,
     y: y,
-    vx: direction * (2 + Math.random() * 3),
-    vy: -1 + Math.random() * 2,
-    size: 8 + Math.random() * 12,
+    vx: direction * (2 + fxRandom() * 3),
+    vy: -1 + fxRandom() * 2,
+    size: 8 + fxRandom() * 12,
     life: 0.6,
     decay: 0.015,
   });
@@ -2072,26 +3181,32 @@ function updateVisualFX() {
   // Update speed lines
   updateSpeedLines();
   
+  // Update score popups (float up and fade)
+  for (let i = visualFX.scorePopups.length - 1; i >= 0; i--) {
+    const popup = visualFX.scorePopups[i];
+    popup.y -= 1.2;
+    popup.life -= 0.02;
+    
+    if (popup.life <= 0) {
+      visualFX.scorePopups.splice(i, 1);
+    }
+  }
+  
   // Update screen shake
   if (visualFX.screenShake > 0) {
     visualFX.screenShake -= 0.1;
   }
-  
-  // Update nitro state
-  if (visualFX.nitroActive && Date.now() > visualFX.nitroEndTime) {
-    visualFX.nitroActive = false;
-  }
 }
 
 function updateSpeedLines() {
   // Spawn new speed lines at high speeds
-  if (gameState.currentSpeed > 1.5 && gameState.isPlaying && Math.random() > 0.7) {
+  if (gameState.currentSpeed > 1.5 && gameState.isPlaying && fxRandom() > 0.7) {
     visualFX.speedLines.push({
-      x: Math.random() > 0.5 ? Math.random() * 50 : canvasWidth - Math.random() * 50,
+      x: fxRandom() > 0.5 ? fxRandom() * 50 : canvasWidth - fxRandom() * 50,
       y: -20,
-      length: 30 + Math.random() * 50,
+      length: 30 + fxRandom() * 50,
       speed: 15 + gameState.currentSpeed * 5,
-      opacity: 0.3 + Math.random() * 0.3,
+      opacity: 0.3 + fxRandom() * 0.3,
     });
   }
   
@@ -2110,8 +3225,8 @@ function updateSpeedLines() {
 function drawVisualFX() {
   // Apply screen shake
   if (visualFX.screenShake > 0) {
-    const shakeX = (Math.random() - 0.5) * visualFX.screenShakeIntensity * visualFX.screenShake;
-    const shakeY = (Math.random() - 0.5) * visualFX.screenShakeIntensity * visualFX.screenShake;
+    const shakeX = (fxRandom() - 0.5) * visualFX.screenShakeIntensity * visualFX.screenShake;
+    const shakeY = (fxRandom() - 0.5) * visualFX.screenShakeIntensity * visualFX.screenShake;
     ctx.translate(shakeX, shakeY);
   }
   
@@ -2192,6 +3307,25 @@ function drawVisualFX() {
   }
 }
 
+function drawScorePopups() {
+  ctx.save();
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  
+  visualFX.scorePopups.forEach(popup => {
+    // Pop in slightly larger, then settle
+    const scale = 1 + Math.max(0, popup.life - 0.8) * 2;
+    ctx.globalAlpha = Math.min(1, popup.life * 2);
+    ctx.font = `bold ${Math.round(popup.size * scale)}px -apple-system, 'Segoe UI', Roboto, sans-serif`;
+    ctx.shadowColor = popup.color;
+    ctx.shadowBlur = 10;
+    ctx.fillStyle = popup.color;
+    ctx.fillText(popup.text, popup.x, popup.y);
+  });
+  
+  ctx.restore();
+}
+
 function drawMotionBlur() {
   const blurIntensity = Math.min((gameState.currentSpeed - 2) * 0.1, 0.3);
   
@@ -2211,7 +3345,17 @@ function drawMotionBlur() {
   ctx.fillRect(canvasWidth - 60, 0, 60, canvasHeight);
 }
 
+// Built on first use after each resize
+let vignetteLayer = null;
+
 function drawVignette() {
+  if (!vignetteLayer) {
+    vignetteLayer = createOffscreenCanvas(canvasWidth, canvasHeight, drawVignetteGradient);
+  }
+  ctx.drawImage(vignetteLayer, 0, 0);
+}
+
+function drawVignetteGradient() {
   const gradient = ctx.createRadialGradient(
     canvasWidth / 2, canvasHeight / 2, canvasHeight * 0.3,
     canvasWidth / 2, canvasHeight / 2, canvasHeight * 0.8
@@ -2279,8 +3423,17 @@ function triggerScreenShake(intensity = 10) {
 // UTILITY FUNCTIONS
 // ============================================
 
-function getLaneX(lane) {
-  return lane * CONFIG.laneWidth + (CONFIG.laneWidth - CONFIG.playerWidth) / 2;
+function fxRandom() {
+  return Math.random();
+}
+
+// Position of an object blended between its last two simulation steps
+function renderX(obj) {
+  return obj.prevX === undefined ? obj.x : lerp(obj.prevX, obj.x, simLoop.alpha);
+}
+
+function renderY(obj) {
+  return obj.prevY === undefined ? obj.y : lerp(obj.prevY, obj.y, simLoop.alpha);
 }
 
 function shadeColor(color, percent) {
@@ -0,0 +1,193 @@
+// ============================================
+// HYDRA RACING - Mock Online Leaderboard
+// Local development server for the online leaderboard client (online.js).
+//
+//   node server/mock-leaderboard.js [port]
+//
+// Scores are kept in a JSON file (LEADERBOARD_FILE, default server/leaderboard-data.json).
+// Every submission is re-simulated with core.js from its replay and rejected if it
+// doesn't reproduce the claimed result.
+// ============================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const core = require('../core.js');
+
+const PORT = parseInt(process.argv[2]) || parseInt(process.env.PORT) || 8787;
+const DATA_FILE = process.env.LEADERBOARD_FILE || path.join(__dirname, 'leaderboard-data.json');
+const MAX_BODY_SIZE = 1024 * 1024;
+const MAX_TICKS = 60 * 60 * 60; // One hour of simulation
+const TOP_LIMIT = 100;
+const WORLD_WIDTH = { min: 240, max: 480 }; // The game container is at most 480 px wide
+const WORLD_HEIGHT = { min: 280, max: 1600 };
+
+// ============================================
+// STORAGE
+// ============================================
+
+function loadScores() {
+  try {
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    return Array.isArray(data.scores) ? data.scores : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveScores(scores) {
+  fs.writeFileSync(DATA_FILE, JSON.stringify({ scores }, null, 2));
+}
+
+// Best run per player, best first
+function rankScores(scores) {
+  const best = new Map();
+  scores.forEach((score) => {
+    const current = best.get(score.playerId);
+    if (!current || score.score > current.score) best.set(score.playerId, score);
+  });
+  
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+    .map((score, index) => ({ rank: index + 1, ...publicScore(score) }));
+}
+
+// Leave the replay out of listings
+function publicScore(score) {
+  const { replay, ...rest } = score;
+  return rest;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// Returns an error message, or null if the submission is valid
+function validateSubmission(body) {
+  if (!body || typeof body !== 'object') return 'Body must be a JSON object';
+  if (!core.isPlayerId(body.playerId)) return 'Invalid playerId';
+  if (typeof body.name !== 'string' || body.name.trim() === '') return 'Invalid name';
+  if (!Number.isInteger(body.score) || body.score < 0) return 'Invalid score';
+  
+  const replay = core.parseReplay(JSON.stringify(body.replay));
+  if (!replay) return 'Invalid replay';
+  if (!(replay.width >= WORLD_WIDTH.min && replay.width <= WORLD_WIDTH.max &&
+    replay.height >= WORLD_HEIGHT.min && replay.height <= WORLD_HEIGHT.max)) {
+    return 'Invalid replay world size';
+  }
+  
+  // The online leaderboard ranks plain Endless runs only
+  if (replay.gameMode !== 'ENDLESS' || replay.modifiers.length > 0) return 'Only Endless runs are ranked';
+  if (!Number.isInteger(replay.ticks) || replay.ticks <= 0 || replay.ticks > MAX_TICKS) return 'Invalid replay length';
+  
+  // Re-run the whole race and compare what the client claims
+  const result = core.simulateReplay(replay);
+  if (!result.finished || result.ticks !== replay.ticks) return 'Replay does not end where it claims to';
+  if (['score', 'distance', 'coins', 'dodged', 'maxCombo'].some(key => result[key] !== body[key])) {
+    return 'Result does not match the replay';
+  }
+  
+  return null;
+}
+
+// ============================================
+// HTTP
+// ============================================
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req, callback) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) req.destroy();
+  });
+  req.on('end', () => {
+    try {
+      callback(JSON.parse(body));
+    } catch (e) {
+      callback(null);
+    }
+  });
+}
+
+function handleSubmit(req, res) {
+  readBody(req, (body) => {
+    const error = validateSubmission(body);
+    if (error) {
+      send(res, 422, { error });
+      return;
+    }
+    
+    const score = {
+      playerId: body.playerId,
+      name: body.name.trim().slice(0, core.CONFIG.playerNameLength),
+      score: body.score,
+      distance: body.distance,
+      coins: body.coins,
+      dodged: body.dodged,
+      maxCombo: body.maxCombo,
+      seed: body.replay.seed,
+      date: new Date().toISOString(),
+      replay: body.replay,
+    };
+    
+    const scores = loadScores();
+    scores.push(score);
+    saveScores(scores);
+    
+    const ranked = rankScores(scores);
+    const mine = ranked.find(entry => entry.playerId === score.playerId);
+    send(res, 201, { rank: mine.rank, best: mine });
+  });
+}
+
+function handleTop(res, params) {
+  const limit = Math.max(1, Math.min(TOP_LIMIT, parseInt(params.get('limit')) || TOP_LIMIT));
+  send(res, 200, { scores: rankScores(loadScores()).slice(0, limit) });
+}
+
+function handleAround(res, playerId, params) {
+  const range = Math.max(1, Math.min(25, parseInt(params.get('range')) || 5));
+  const ranked = rankScores(loadScores());
+  const index = ranked.findIndex(entry => entry.playerId === playerId);
+  
+  if (index === -1) {
+    send(res, 404, { error: 'Player has no scores yet' });
+    return;
+  }
+  
+  send(res, 200, {
+    rank: index + 1,
+    scores: ranked.slice(Math.max(0, index - range), index + range + 1),
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const around = url.pathname.match(/^\/scores\/around\/([\w-]+)$/);
+  
+  if (req.method === 'OPTIONS') {
+    send(res, 204, {});
+  } else if (req.method === 'POST' && url.pathname === '/scores') {
+    handleSubmit(req, res);
+  } else if (req.method === 'GET' && url.pathname === '/scores/top') {
+    handleTop(res, url.searchParams);
+  } else if (req.method === 'GET' && around) {
+    handleAround(res, around[1], url.searchParams);
+  } else {
+    send(res, 404, { error: 'Not found' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock leaderboard listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
@@ -0,0 +1,193 @@
+// Scoring, combos, power-up expiry and collision forgiveness in the DOM-free core
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+const { CONFIG, gameState } = core;
+
+function startRun(seed = 1) {
+  core.replay.mode = 'record';
+  core.setWorldSize(400, 700);
+  core.initPlayer();
+  core.resetRun();
+  core.beginRun(seed);
+}
+
+// Collect the arguments of every `type` event emitted while `fn` runs
+function captureEvents(type, fn) {
+  const events = [];
+  const unsubscribe = core.onGameEvent(type, (...args) => events.push(args));
+  try {
+    fn();
+  } finally {
+    unsubscribe();
+  }
+  return events;
+}
+
+function enemyAt(x, y) {
+  return { x, y, width: 45, height: 85 };
+}
+
+test.describe('scoring', () => {
+  test.beforeEach(() => startRun());
+  
+  test('addScore adds points and reports why', () => {
+    const events = captureEvents('scored', () => core.addScore(100, 'coin', 10, 20));
+    
+    assert.strictEqual(gameState.score, 100);
+    assert.deepStrictEqual(events, [[100, 'coin', 10, 20]]);
+  });
+  
+  test('addScore ignores zero points', () => {
+    const events = captureEvents('scored', () => core.addScore(0, 'distance'));
+    
+    assert.strictEqual(gameState.score, 0);
+    assert.strictEqual(events.length, 0);
+  });
+  
+  test('every point of a run is reported by a scored event', () => {
+    let reported = 0;
+    const unsubscribe = core.onGameEvent('scored', (points) => reported += points);
+    for (let i = 0; i < 3000 && gameState.isPlaying; i++) {
+      core.update();
+    }
+    unsubscribe();
+    
+    assert.ok(gameState.score > 0);
+    assert.strictEqual(reported, gameState.score);
+  });
+  
+  test('every step scores the distance driven', () => {
+    core.update();
+    
+    assert.strictEqual(gameState.score, Math.floor(gameState.currentSpeed));
+  });
+  
+  test('a coin is worth ten points per coin collected', () => {
+    core.collectCoin({ x: 0, y: 0, size: 20 });
+    
+    assert.strictEqual(gameState.coins, CONFIG.coinValue);
+    assert.strictEqual(gameState.score, CONFIG.coinValue * 10);
+  });
+  
+  test('double points doubles coins', () => {
+    core.activatePowerUp('DOUBLE_POINTS');
+    core.collectCoin({ x: 0, y: 0, size: 20 });
+    
+    assert.strictEqual(gameState.coins, CONFIG.coinValue * 2);
+  });
+});
+
+test.describe('combos', () => {
+  test.beforeEach(() => startRun());
+  
+  test('dodges within the combo timeout build a combo worth 50 points per step', () => {
+    gameState.clock = 1000;
+    core.handleDodge(enemyAt(100, 600));
+    gameState.clock += CONFIG.comboTimeout - 1;
+    core.handleDodge(enemyAt(100, 600));
+    gameState.clock += CONFIG.comboTimeout - 1;
+    core.handleDodge(enemyAt(100, 600));
+    
+    assert.strictEqual(gameState.combo, 3);
+    assert.strictEqual(gameState.maxCombo, 3);
+    assert.strictEqual(gameState.score, 50 + 100 + 150);
+  });
+  
+  test('the combo starts over after the timeout but the best combo is kept', () => {
+    gameState.clock = 1000;
+    core.handleDodge(enemyAt(100, 600));
+    gameState.clock += 100;
+    core.handleDodge(enemyAt(100, 600));
+    gameState.clock += CONFIG.comboTimeout;
+    core.handleDodge(enemyAt(100, 600));
+    
+    assert.strictEqual(gameState.combo, 1);
+    assert.strictEqual(gameState.maxCombo, 2);
+  });
+  
+  test('double points doubles the combo bonus', () => {
+    core.activatePowerUp('DOUBLE_POINTS');
+    gameState.clock = 1000;
+    core.handleDodge(enemyAt(100, 600));
+    
+    assert.strictEqual(gameState.score, 100);
+  });
+  
+  test('comboChanged reports the new combo', () => {
+    gameState.clock = 1000;
+    const events = captureEvents('comboChanged', () => core.handleDodge(enemyAt(100, 600)));
+    
+    assert.deepStrictEqual(events, [[1]]);
+  });
+});
+
+test.describe('power-up expiry', () => {
+  test.beforeEach(() => startRun());
+  
+  test('a power-up ends once the game clock passes its duration', () => {
+    core.activatePowerUp('SHIELD');
+    
+    gameState.clock += CONFIG.shieldDuration;
+    core.updatePowerUpTimers();
+    assert.strictEqual(gameState.hasShield, true);
+    assert.strictEqual(core.getPowerUpRemaining('SHIELD'), 0);
+    
+    gameState.clock += 1;
+    const events = captureEvents('powerUpEnded', () => core.updatePowerUpTimers());
+    assert.strictEqual(gameState.hasShield, false);
+    assert.deepStrictEqual(events, [['SHIELD']]);
+  });
+  
+  test('a paused run does not use up power-up time', () => {
+    core.activatePowerUp('SHIELD');
+    core.pauseRun();
+    for (let i = 0; i < 1000; i++) {
+      core.update();
+    }
+    
+    assert.strictEqual(gameState.hasShield, true);
+    assert.strictEqual(core.getPowerUpRemaining('SHIELD'), CONFIG.shieldDuration);
+  });
+  
+  test('a refreshing power-up starts its full duration again', () => {
+    core.activatePowerUp('SHIELD');
+    gameState.clock += 2000;
+    core.activatePowerUp('SHIELD');
+    
+    assert.strictEqual(core.getPowerUpRemaining('SHIELD'), CONFIG.shieldDuration);
+  });
+  
+  test('an extending power-up adds time up to the stack limit', () => {
+    core.activatePowerUp('MAGNET');
+    gameState.clock += 1000;
+    core.activatePowerUp('MAGNET');
+    assert.strictEqual(core.getPowerUpRemaining('MAGNET'), CONFIG.magnetDuration * 2 - 1000);
+    
+    core.activatePowerUp('MAGNET');
+    assert.strictEqual(core.getPowerUpRemaining('MAGNET'), CONFIG.magnetDuration * CONFIG.powerUpStackLimit);
+  });
+});
+
+test.describe('collision forgiveness', () => {
+  const padding = CONFIG.collisionPadding;
+  const player = { x: 100, y: 500, width: 45, height: 85 };
+  
+  test('cars overlapping by less than the padding do not collide', () => {
+    assert.strictEqual(core.checkCollision(player, enemyAt(100 + 45 - padding, 500)), false);
+    assert.strictEqual(core.checkCollision(player, enemyAt(100 - 45 + padding, 500)), false);
+    assert.strictEqual(core.checkCollision(player, enemyAt(100, 500 - 85 + padding)), false);
+  });
+  
+  test('cars overlapping by more than the padding collide', () => {
+    assert.strictEqual(core.checkCollision(player, enemyAt(100 + 45 - padding - 1, 500)), true);
+    assert.strictEqual(core.checkCollision(player, enemyAt(100, 500 - 85 + padding + 1)), true);
+    assert.strictEqual(core.checkCollision(player, enemyAt(100, 500)), true);
+  });
+  
+  test('cars apart do not collide', () => {
+    assert.strictEqual(core.checkCollision(player, enemyAt(300, 500)), false);
+    assert.strictEqual(core.checkCollision(player, enemyAt(100, 100)), false);
+  });
+});
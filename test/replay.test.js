@@ -0,0 +1,102 @@
+// Recorded runs play back exactly, and replays only carry parameters a real run can have
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+const { gameState } = core;
+
+// Drive a run to the end with scripted inputs and return its replay.
+// `resize` asks for a new world size mid-run, as turning a phone does.
+function recordRun(seed, steering = 'lanes', resize = null) {
+  core.replay.mode = 'record';
+  core.settings.steering = steering;
+  core.setWorldSize(400, 700);
+  core.initPlayer();
+  core.resetRun();
+  core.beginRun(seed);
+  
+  for (let i = 0; gameState.isPlaying && i < 20000; i++) {
+    if (steering === 'analog') {
+      if (i % 60 === 0) core.setSteer(i % 120 === 0 ? -0.8 : 0.6);
+    } else if (i % 45 === 0) {
+      if (i % 90 === 0) core.moveLeft(); else core.moveRight();
+    }
+    if (i === 300) core.fireNitro();
+    if (i === 400) core.releaseNitro();
+    if (resize && i === resize.tick) core.requestWorldSize(resize.width, resize.height);
+    core.update();
+  }
+  if (gameState.isPlaying) core.endRun();
+  
+  return JSON.parse(JSON.stringify(core.replay.last));
+}
+
+test.describe('replay determinism', () => {
+  for (const steering of ['lanes', 'analog']) {
+    test(`a ${steering} run plays back to the same result`, () => {
+      for (let seed = 1; seed <= 5; seed++) {
+        const recorded = recordRun(seed, steering);
+        const result = core.simulateReplay(core.parseReplay(JSON.stringify(recorded)));
+        
+        assert.deepStrictEqual(
+          { finished: result.finished, ticks: result.ticks, score: result.score },
+          { finished: true, ticks: recorded.ticks, score: recorded.score },
+          `seed ${seed}`);
+      }
+    });
+  }
+  
+  test('resizing the world mid-run waits for the run to end', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const recorded = recordRun(seed, 'lanes', { tick: 120, width: 300, height: 560 });
+      assert.deepStrictEqual({ width: recorded.width, height: recorded.height }, { width: 400, height: 700 });
+      
+      const result = core.simulateReplay(core.parseReplay(JSON.stringify(recorded)));
+      assert.strictEqual(result.score, recorded.score, `seed ${seed}`);
+    }
+    
+    core.replay.mode = 'record';
+    core.resetRun();
+    assert.ok(core.requestWorldSize(300, 560), 'the resize applies between runs');
+  });
+  
+  test('playback uses the steering the replay was recorded with', () => {
+    const recorded = recordRun(3, 'analog');
+    recordRun(4, 'lanes');
+    
+    const result = core.simulateReplay(core.parseReplay(JSON.stringify(recorded)));
+    assert.strictEqual(gameState.steering, 'analog');
+    assert.strictEqual(result.score, recorded.score);
+  });
+});
+
+test.describe('replay parsing', () => {
+  const recorded = recordRun(7);
+  const parse = changes => core.parseReplay(JSON.stringify({ ...recorded, ...changes }));
+  
+  test('accepts a recorded run', () => {
+    assert.ok(parse({}));
+  });
+  
+  test('rejects replays from another replay version', () => {
+    assert.strictEqual(parse({ version: recorded.version - 1 }), null);
+  });
+  
+  test('caps upgrade levels at what the garage sells', () => {
+    const data = parse({ upgrades: { SHIELD: 500, MAGNET: -2, NITRO: 1.5 } });
+    
+    assert.deepStrictEqual(data.upgrades, {
+      SHIELD: core.GARAGE_ITEMS.upgrades.SHIELD.prices.length,
+      MAGNET: 0,
+      NITRO: 0,
+    });
+  });
+  
+  test('rejects unknown modes, modifiers, steering and inputs', () => {
+    assert.strictEqual(parse({ gameMode: 'GOD_MODE' }), null);
+    assert.strictEqual(parse({ modifiers: ['NO_CARS'] }), null);
+    assert.strictEqual(parse({ steering: 'autopilot' }), null);
+    assert.strictEqual(parse({ inputs: [[10, 'X']] }), null);
+    assert.strictEqual(parse({ inputs: [[10, 'S', 3]] }), null);
+  });
+});
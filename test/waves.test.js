@@ -0,0 +1,155 @@
+// The wave planner always leaves a gap the player can steer to in time
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+const { CONFIG, ENEMY_TYPES, SIM_STEP, gameState, player } = core;
+const WORLD_HEIGHT = 700;
+
+// A run at the top of the difficulty curve, driven with the given steering
+function startHardRun(seed, steering) {
+  core.replay.mode = 'record';
+  core.settings.steering = steering;
+  core.setWorldSize(400, WORLD_HEIGHT);
+  core.initPlayer();
+  core.resetRun();
+  core.beginRun(seed);
+  gameState.distance = 50000;
+  core.update();
+}
+
+// ============================================
+// GEOMETRY
+// Worked out step by step from the world, independently of the planner
+// ============================================
+
+function laneX(lane, width) {
+  return lane * CONFIG.laneWidth + (CONFIG.laneWidth - width) / 2;
+}
+
+// First step a row's nose hits the player and first step its tail is past the player,
+// counted from now for a row spawning `spawnStep` steps from now
+function getRowSteps(type, spawnStep) {
+  const info = ENEMY_TYPES[type];
+  const padding = CONFIG.collisionPadding;
+  let y = -info.height;
+  let brakeSteps = 0;
+  let arrive = null;
+  
+  for (let step = spawnStep; ; step++) {
+    let speed = gameState.difficulty.enemySpeed * info.speedFactor *
+      (gameState.currentSpeed + CONFIG.speedIncreaseRate * step);
+    // Braking as late as possible on the way down
+    if (type === 'BRAKER' && y >= WORLD_HEIGHT * 0.4 && brakeSteps < CONFIG.brakeDuration / SIM_STEP) {
+      speed *= CONFIG.brakeFactor;
+      brakeSteps++;
+    }
+    y += speed;
+    
+    if (arrive === null && player.y < y + info.height - padding) arrive = step;
+    if (player.y + CONFIG.playerHeight <= y + padding) return { arrive, clear: step };
+  }
+}
+
+// Steps for the player to steer `lanes` lanes over until clear of a car of `enemyWidth`
+// in the lane next to the target on the side it came from
+function getSteerSteps(lanes, enemyWidth, steering) {
+  const padding = CONFIG.collisionPadding;
+  const targetX = laneX(lanes, CONFIG.playerWidth);
+  const enemyX = laneX(lanes - 1, enemyWidth);
+  let x = laneX(0, CONFIG.playerWidth);
+  let vx = 0;
+  let steps = 0;
+  
+  while (x < enemyX + enemyWidth - padding && x + CONFIG.playerWidth > enemyX + padding) {
+    if (steering === 'analog') {
+      vx = (vx + CONFIG.steerAcceleration) * CONFIG.steerFriction;
+      x += vx;
+    } else {
+      x += (targetX - x) * CONFIG.laneChangeEasing;
+    }
+    steps++;
+  }
+  return steps;
+}
+
+// Most lanes the player can really cross between the previous row clearing and the next arriving
+function getGeometricShift(previous, next, steering) {
+  const clear = previous === null ? 0 : getRowSteps(previous.type, previous.spawnStep).clear;
+  const { arrive } = getRowSteps(next.type, next.spawnStep);
+  const start = clear + CONFIG.reactionTime / SIM_STEP;
+  
+  let shift = 0;
+  while (shift < CONFIG.lanes - 1 &&
+    start + getSteerSteps(shift + 1, ENEMY_TYPES[next.type].width, steering) <= arrive) {
+    shift++;
+  }
+  return shift;
+}
+
+// Lanes the player can still be in after each planned row
+function followPlan(rows, steering) {
+  const allLanes = Array.from({ length: CONFIG.lanes }, (_, lane) => lane);
+  let reachable = allLanes;
+  let previous = null;
+  let spawnAt = 0;
+  
+  return rows.map((row) => {
+    spawnAt += row.delay;
+    const current = { type: row.type, spawnStep: Math.ceil(spawnAt / SIM_STEP - 1e-9) };
+    const maxShift = getGeometricShift(previous, current, steering);
+    const blocked = row.cars.flatMap(car => car.mergeLane === null ? [car.lane] : [car.lane, car.mergeLane]);
+    reachable = allLanes.filter(lane =>
+      !blocked.includes(lane) && reachable.some(from => Math.abs(lane - from) <= maxShift));
+    previous = current;
+    return reachable;
+  });
+}
+
+for (const steering of ['lanes', 'analog']) {
+  test(`every planned row leaves a reachable gap with ${steering} steering`, () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      startHardRun(seed, steering);
+      core.resetWavePlan();
+      for (let i = 0; i < 200; i++) {
+        core.planWaveRow();
+      }
+      
+      const rows = core.wavePlan.rows;
+      assert.ok(rows.some(row => row.cars.length > 1), 'hard runs plan multi-lane waves');
+      followPlan(rows, steering).forEach((reachable, index) => {
+        assert.ok(reachable.length > 0, `seed ${seed}, row ${index} leaves no reachable lane`);
+      });
+    }
+  });
+  
+  test(`the planner never allows more lane changes than there is time for with ${steering} steering`, () => {
+    const rate = () => gameState.difficulty.enemySpawnRate;
+    for (const previous in ENEMY_TYPES) {
+      for (const next in ENEMY_TYPES) {
+        startHardRun(1, steering);
+        core.resetWavePlan();
+        core.wavePlan.lastType = previous;
+        
+        const planned = core.getMaxLaneShift(next, rate());
+        const real = getGeometricShift(
+          { type: previous, spawnStep: 0 },
+          { type: next, spawnStep: Math.ceil(rate() / SIM_STEP - 1e-9) },
+          steering);
+        assert.ok(planned <= real, `${previous} then ${next}: planned ${planned} lanes, only ${real} possible`);
+      }
+    }
+  });
+}
+
+test('a motorbike row right behind a truck row leaves no time to change lanes', () => {
+  startHardRun(1, 'lanes');
+  core.resetWavePlan();
+  core.wavePlan.lastType = 'TRUCK';
+  
+  const delay = gameState.difficulty.enemySpawnRate;
+  const truck = getRowSteps('TRUCK', 0);
+  const motorbike = getRowSteps('MOTORBIKE', Math.ceil(delay / SIM_STEP - 1e-9));
+  assert.ok(motorbike.arrive - truck.clear < CONFIG.reactionTime / SIM_STEP + getSteerSteps(1, ENEMY_TYPES.MOTORBIKE.width, 'lanes'));
+  assert.strictEqual(core.getMaxLaneShift('MOTORBIKE', delay), 0);
+});